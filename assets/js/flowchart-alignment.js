@@ -0,0 +1,146 @@
+/**
+ * Flowchart Collaborator - Grid and Alignment
+ * Snap-to-grid, alignment guides while dragging, and align/distribute for selected nodes
+ */
+
+class FlowchartAlignment {
+    /**
+     * @param {Object} options - Alignment options
+     * @param {number} options.gridSize - Grid spacing in pixels
+     * @param {boolean} options.snapToGrid - Round dragged and new positions to the grid
+     * @param {boolean} options.showGuides - Snap to and draw lines along other nodes' edges and centres
+     * @param {number} options.guideThreshold - How close (in screen pixels) an edge must be to catch a guide
+     */
+    constructor(options = {}) {
+        this.gridSize = options.gridSize || 20;
+        this.snapToGrid = options.snapToGrid === true;
+        this.showGuides = options.showGuides !== false;
+        this.guideThreshold = options.guideThreshold || 6;
+    }
+
+    snap(value) {
+        return this.snapToGrid ? Math.round(value / this.gridSize) * this.gridSize : value;
+    }
+
+    snapPoint(point) {
+        return { x: this.snap(point.x), y: this.snap(point.y) };
+    }
+
+    /**
+     * Find guide lines for a box being dragged past other nodes
+     * @param {Object} box - {x, y, width, height} of the dragged node
+     * @param {Array} others - Nodes that stay put
+     * @param {number} scale - Current zoom, so the threshold stays constant on screen
+     * @returns {Object} { x, y, lines } - x/y are the adjusted position or null when nothing lines up
+     */
+    findGuides(box, others, scale = 1) {
+        const threshold = this.guideThreshold / scale;
+        const matchX = this.findClosest(this.anchors(box.x, box.width), others.map(n => this.anchors(n.x, n.width)), threshold);
+        const matchY = this.findClosest(this.anchors(box.y, box.height), others.map(n => this.anchors(n.y, n.height)), threshold);
+
+        const x = matchX ? box.x + matchX.offset : null;
+        const y = matchY ? box.y + matchY.offset : null;
+        const placed = { x: x !== null ? x : box.x, y: y !== null ? y : box.y, width: box.width, height: box.height };
+        const lines = [];
+
+        if (matchX) {
+            const aligned = [placed, ...others.filter(n => this.anchors(n.x, n.width).some(a => Math.abs(a - matchX.line) < 0.5))];
+            lines.push({
+                x1: matchX.line,
+                y1: Math.min(...aligned.map(n => n.y)),
+                x2: matchX.line,
+                y2: Math.max(...aligned.map(n => n.y + n.height))
+            });
+        }
+
+        if (matchY) {
+            const aligned = [placed, ...others.filter(n => this.anchors(n.y, n.height).some(a => Math.abs(a - matchY.line) < 0.5))];
+            lines.push({
+                x1: Math.min(...aligned.map(n => n.x)),
+                y1: matchY.line,
+                x2: Math.max(...aligned.map(n => n.x + n.width)),
+                y2: matchY.line
+            });
+        }
+
+        return { x, y, lines };
+    }
+
+    // Start, centre and end of a box along one axis
+    anchors(start, size) {
+        return [start, start + size / 2, start + size];
+    }
+
+    findClosest(ownAnchors, otherAnchors, threshold) {
+        let best = null;
+
+        otherAnchors.forEach(anchors => {
+            anchors.forEach(line => {
+                ownAnchors.forEach(anchor => {
+                    const offset = line - anchor;
+                    if (Math.abs(offset) <= threshold && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                        best = { line, offset };
+                    }
+                });
+            });
+        });
+
+        return best;
+    }
+
+    /**
+     * Line nodes up along one edge or centre line of their combined bounds
+     * @param {Array} nodes - Nodes to align
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     * @returns {Object} Map of node ID to new top-left {x, y}
+     */
+    align(nodes, edge) {
+        const minX = Math.min(...nodes.map(n => n.x));
+        const maxX = Math.max(...nodes.map(n => n.x + n.width));
+        const minY = Math.min(...nodes.map(n => n.y));
+        const maxY = Math.max(...nodes.map(n => n.y + n.height));
+        const positions = {};
+
+        nodes.forEach(node => {
+            const position = { x: node.x, y: node.y };
+            switch (edge) {
+                case 'left': position.x = minX; break;
+                case 'center': position.x = (minX + maxX) / 2 - node.width / 2; break;
+                case 'right': position.x = maxX - node.width; break;
+                case 'top': position.y = minY; break;
+                case 'middle': position.y = (minY + maxY) / 2 - node.height / 2; break;
+                case 'bottom': position.y = maxY - node.height; break;
+            }
+            positions[node.id] = position;
+        });
+
+        return positions;
+    }
+
+    /**
+     * Space nodes so the gaps between them are equal, keeping the outermost two in place
+     * @param {Array} nodes - Nodes to distribute (at least three)
+     * @param {string} axis - 'horizontal' or 'vertical'
+     * @returns {Object} Map of node ID to new top-left {x, y}
+     */
+    distribute(nodes, axis) {
+        const horizontal = axis === 'horizontal';
+        const start = node => (horizontal ? node.x : node.y);
+        const size = node => (horizontal ? node.width : node.height);
+
+        const sorted = [...nodes].sort((a, b) => (start(a) + size(a) / 2) - (start(b) + size(b) / 2));
+        const first = sorted[0];
+        const last = sorted[sorted.length - 1];
+        const span = start(last) + size(last) - start(first);
+        const gap = (span - sorted.reduce((total, node) => total + size(node), 0)) / (sorted.length - 1);
+
+        const positions = {};
+        let cursor = start(first);
+        sorted.forEach(node => {
+            positions[node.id] = horizontal ? { x: cursor, y: node.y } : { x: node.x, y: cursor };
+            cursor += size(node) + gap;
+        });
+
+        return positions;
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Flowchart Collaborator - Node Fields
+ * Category, priority, status and custom properties on nodes, and the badges, colours and filter drawn from them
+ */
+
+class FlowchartFields {
+    constructor() {
+        this.builtIn = ['category', 'priority', 'status'];
+        this.priorities = ['low', 'medium', 'high', 'critical'];
+        this.categories = ['core'];
+        this.suggestedProperties = ['owner', 'duration', 'cost'];
+
+        // Values with a meaning keep their colour; anything else takes the next palette colour
+        this.valueColors = {
+            priority: { low: '#59a14f', medium: '#edc948', high: '#f28e2b', critical: '#e15759' },
+            status: { pending: '#bab0ac', approved: '#59a14f', rejected: '#e15759' }
+        };
+        this.palette = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+        // What the canvas shows: fields drawn as badges, the field nodes are coloured by,
+        // and { field, value } for the nodes left undimmed
+        this.view = { badges: [], colorBy: '', filter: null };
+        this.colors = new Map();
+    }
+
+    /**
+     * Keep only usable custom properties: trimmed names that don't shadow a built-in field, with string values
+     * @param {Object} metadata - Node metadata, updated in place
+     */
+    normalizeProperties(metadata) {
+        const properties = {};
+        const incoming = metadata.properties;
+        if (incoming && typeof incoming === 'object' && !Array.isArray(incoming)) {
+            Object.entries(incoming).forEach(([key, value]) => {
+                const name = this.normalizeKey(key);
+                if (name && !this.isReserved(name) && value !== null && value !== undefined) {
+                    properties[name] = String(value);
+                }
+            });
+        }
+        metadata.properties = properties;
+    }
+
+    normalizeKey(key) {
+        return String(key || '').replace(/\s+/g, ' ').trim();
+    }
+
+    isReserved(key) {
+        return [...this.builtIn, 'note', 'properties'].includes(key.toLowerCase());
+    }
+
+    getValue(node, field) {
+        const metadata = node.metadata || {};
+        const value = this.builtIn.includes(field) ? metadata[field] : (metadata.properties || {})[field];
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    getLabel(field) {
+        return this.builtIn.includes(field) ? field.charAt(0).toUpperCase() + field.slice(1) : field;
+    }
+
+    /**
+     * Fields that can be shown, coloured or filtered by: the built-in ones, then custom properties in use
+     * @param {Array} flowcharts - All flowcharts
+     * @returns {Array} Field names
+     */
+    getFields(flowcharts) {
+        return [...this.builtIn, ...this.getUsedPropertyKeys(flowcharts)];
+    }
+
+    getUsedPropertyKeys(flowcharts) {
+        const keys = flowcharts.flatMap(flowchart => flowchart.nodes.flatMap(node => Object.keys((node.metadata && node.metadata.properties) || {})));
+        return Array.from(new Set(keys)).sort((a, b) => a.localeCompare(b));
+    }
+
+    // Property names to suggest: the usual planning ones plus any already in the document
+    getPropertyKeys(flowcharts) {
+        return Array.from(new Set([...this.suggestedProperties, ...this.getUsedPropertyKeys(flowcharts)]));
+    }
+
+    getCategories(flowcharts) {
+        return Array.from(new Set([...this.categories, ...this.getValues(flowcharts, 'category')]));
+    }
+
+    /**
+     * Distinct values a field has across the document, in their natural order
+     * @param {Array} flowcharts - All flowcharts
+     * @param {string} field - Field name
+     * @returns {Array} Non-empty values
+     */
+    getValues(flowcharts, field) {
+        const used = new Set(flowcharts.flatMap(flowchart => flowchart.nodes.map(node => this.getValue(node, field))));
+        used.delete('');
+
+        const order = field === 'priority' ? this.priorities : Object.keys(this.valueColors[field] || {});
+        const known = order.filter(value => used.has(value));
+        const others = Array.from(used)
+            .filter(value => !order.includes(value))
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+        return [...known, ...others];
+    }
+
+    /**
+     * Change what the canvas shows. Colours are worked out for the whole document so a value
+     * keeps its colour from one flowchart to the next.
+     * @param {Object} view - Any of { badges, colorBy, filter }
+     * @param {Array} flowcharts - All flowcharts
+     */
+    setView(view, flowcharts) {
+        this.view = { ...this.view, ...view };
+        this.updateColors(flowcharts);
+    }
+
+    updateColors(flowcharts) {
+        this.colors = new Map();
+        const field = this.view.colorBy;
+        if (!field) return;
+
+        const fixed = this.valueColors[field] || {};
+        this.getValues(flowcharts, field).forEach((value, index) => {
+            this.colors.set(value, fixed[value] || this.palette[index % this.palette.length]);
+        });
+    }
+
+    // Fill for a node under the current colouring, or null to keep its own
+    getNodeColor(node) {
+        if (!this.view.colorBy) return null;
+        return this.colors.get(this.getValue(node, this.view.colorBy)) || null;
+    }
+
+    /**
+     * Badges to draw on a node
+     * @param {Object} node - Node data
+     * @returns {Array} { field, label, value } for each badge field the node has a value for
+     */
+    getBadges(node) {
+        return this.view.badges
+            .map(field => ({ field, label: this.getLabel(field), value: this.getValue(node, field) }))
+            .filter(badge => badge.value);
+    }
+
+    // An empty filter value matches nodes that don't have the field set
+    matchesFilter(node) {
+        const filter = this.view.filter;
+        return !filter || !filter.field || this.getValue(node, filter.field) === filter.value;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Flowchart Collaborator - Undo/Redo History
+ * Command stack for FlowchartEditor mutations
+ */
+
+class FlowchartHistory {
+    constructor(editor, limit = 50) {
+        this.editor = editor;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false;
+        this.mergeWindow = 1000; // Typing within a second counts as one step
+        this.storageLimit = 1000000; // Characters of saved history, well inside the usual localStorage quota
+    }
+
+    /**
+     * Record a command after its change has been applied.
+     * Commands are plain objects so the stacks can be saved to localStorage.
+     * @param {Object} command - Command with a type, target IDs and before/after state
+     */
+    record(command) {
+        if (this.isApplying) return;
+
+        command.time = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (command.mergeKey && last && last.mergeKey === command.mergeKey &&
+            command.time - last.time < this.mergeWindow) {
+            last.after = command.after;
+            last.time = command.time;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.editor.updateHistoryButtons();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        this.apply(command, 'undo');
+        this.redoStack.push(command);
+        this.editor.updateHistoryButtons();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        this.apply(command, 'redo');
+        this.undoStack.push(command);
+        this.editor.updateHistoryButtons();
+        return command;
+    }
+
+    apply(command, direction) {
+        this.isApplying = true;
+        try {
+            this.editor.applyHistoryCommand(command, direction);
+        } finally {
+            this.isApplying = false;
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.editor.updateHistoryButtons();
+    }
+
+    /**
+     * Stacks for saving. Document-level steps hold whole copies of the document, so the oldest steps
+     * are left out until the rest fit in the storage limit.
+     * @returns {Object} { undoStack, redoStack }
+     */
+    toJSON() {
+        const undoStack = this.undoStack.slice();
+        const redoStack = this.redoStack.slice();
+        const size = command => JSON.stringify(command).length + 1;
+        let length = [...undoStack, ...redoStack].reduce((sum, command) => sum + size(command), 0);
+
+        // Undo steps furthest back go first, then redo steps furthest ahead
+        while (length > this.storageLimit && (undoStack.length || redoStack.length)) {
+            length -= size(undoStack.length ? undoStack.shift() : redoStack.shift());
+        }
+
+        return { undoStack, redoStack };
+    }
+
+    load(savedHistory) {
+        if (!savedHistory || !Array.isArray(savedHistory.undoStack)) return;
+
+        this.undoStack = savedHistory.undoStack.slice(-this.limit);
+        this.redoStack = Array.isArray(savedHistory.redoStack) ? savedHistory.redoStack : [];
+        this.editor.updateHistoryButtons();
+    }
+}
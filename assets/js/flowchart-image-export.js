@@ -0,0 +1,188 @@
+/**
+ * Flowchart Collaborator - Image Export
+ * Builds a standalone SVG (and PNG from it) covering the whole diagram
+ */
+
+class FlowchartImageExport {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.padding = 40;
+        this.background = '#ffffff';
+
+        // Computed CSS copied onto each exported element so the file renders without the page stylesheet
+        this.styleProperties = [
+            'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity',
+            'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+        ];
+    }
+
+    /**
+     * Build a standalone SVG element for a set of nodes
+     * @param {Array} nodes - Nodes (and containers) whose bounds define the exported area
+     * @param {Object} options - { transparent: boolean, showGrid: boolean }
+     * @returns {SVGSVGElement} Detached SVG with inlined styles
+     */
+    createSvg(nodes, options = {}) {
+        const { transparent = false, showGrid = true } = options;
+        const source = this.canvas.svg.node();
+        const bounds = this.canvas.calculateBounds(nodes);
+        const viewBox = {
+            x: bounds.minX - this.padding,
+            y: bounds.minY - this.padding,
+            width: bounds.width + this.padding * 2,
+            height: bounds.height + this.padding * 2
+        };
+
+        // Selection, keyboard connection, merge review, search, field filter, path, walkthrough and coverage
+        // highlighting are editing aids, not part of the diagram
+        const highlights = [
+            'selected', 'connect-source', 'merge-modified', 'merge-removed', 'search-match', 'search-current',
+            'field-dimmed', 'on-path', 'walk-current', 'walk-visited', 'untested'
+        ].map(className => ({
+            className,
+            elements: Array.from(source.querySelectorAll(`.${className}`))
+        }));
+        highlights.forEach(({ className, elements }) => elements.forEach(element => element.classList.remove(className)));
+
+        const svg = source.cloneNode(true);
+        svg.querySelectorAll('.flowchart-connection').forEach(path => {
+            path.setAttribute('marker-end', 'url(#arrowhead)');
+        });
+        const handles = Array.from(svg.querySelectorAll('.bend-handle, .node-resize-handle, .question-badge-group, .merge-preview'));
+
+        try {
+            this.inlineStyles(source, svg);
+        } finally {
+            highlights.forEach(({ className, elements }) => elements.forEach(element => element.classList.add(className)));
+        }
+
+        // Removed only after inlining, which pairs source and clone elements by position
+        handles.forEach(handle => handle.remove());
+
+        svg.removeAttribute('id');
+        svg.removeAttribute('style');
+        // Keyboard focus belongs to the editor; node labels stay for screen readers
+        ['tabindex', 'role', 'aria-label', 'aria-describedby'].forEach(name => svg.removeAttribute(name));
+        svg.querySelectorAll('[tabindex]').forEach(element => element.removeAttribute('tabindex'));
+        svg.setAttribute('width', viewBox.width);
+        svg.setAttribute('height', viewBox.height);
+        svg.setAttribute('viewBox', `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}`);
+
+        // Export in diagram coordinates rather than the current pan/zoom
+        svg.querySelector('#main-group').removeAttribute('transform');
+
+        const grid = svg.querySelector('rect[fill="url(#grid)"]');
+        if (grid) {
+            if (showGrid) {
+                this.setRectBounds(grid, viewBox);
+            } else {
+                grid.remove();
+            }
+        }
+
+        if (!transparent) {
+            const backgroundRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            this.setRectBounds(backgroundRect, viewBox);
+            backgroundRect.setAttribute('fill', this.background);
+            svg.insertBefore(backgroundRect, svg.querySelector('defs').nextSibling);
+        }
+
+        return svg;
+    }
+
+    inlineStyles(source, clone) {
+        const sourceElements = [source, ...source.querySelectorAll('*')];
+        const cloneElements = [clone, ...clone.querySelectorAll('*')];
+
+        const computedStyles = new Map(sourceElements.map(element => [element, window.getComputedStyle(element)]));
+
+        sourceElements.forEach((element, index) => {
+            const computed = computedStyles.get(element);
+            const parent = computedStyles.get(element.parentNode);
+            const target = cloneElements[index];
+
+            // Values equal to the parent's are inherited anyway, which keeps the file small
+            const declarations = this.styleProperties
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([property, value]) => value && (!parent || value !== parent.getPropertyValue(property)))
+                .map(([property, value]) => `${property}: ${value}`);
+
+            if (declarations.length) {
+                target.setAttribute('style', declarations.join('; '));
+            }
+            target.removeAttribute('class');
+        });
+    }
+
+    setRectBounds(rect, viewBox) {
+        rect.setAttribute('x', viewBox.x);
+        rect.setAttribute('y', viewBox.y);
+        rect.setAttribute('width', viewBox.width);
+        rect.setAttribute('height', viewBox.height);
+    }
+
+    /**
+     * Serialize the diagram as an SVG document
+     * @param {Array} nodes - Nodes to cover
+     * @param {Object} options - See createSvg
+     * @returns {string} SVG markup
+     */
+    toSvgString(nodes, options = {}) {
+        const svg = this.createSvg(nodes, options);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+    }
+
+    /**
+     * Render the diagram to a PNG
+     * @param {Array} nodes - Nodes to cover
+     * @param {Object} options - See createSvg, plus scale (pixel multiplier, default 2)
+     * @returns {Promise<Blob>} PNG image data
+     */
+    toPngBlob(nodes, options = {}) {
+        const { scale = 2 } = options;
+        const svg = this.createSvg(nodes, options);
+        const width = Math.ceil(parseFloat(svg.getAttribute('width')) * scale);
+        const height = Math.ceil(parseFloat(svg.getAttribute('height')) * scale);
+        const svgBlob = new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' });
+        const url = URL.createObjectURL(svgBlob);
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('The diagram is too large to render as PNG at this scale'));
+                    }
+                }, 'image/png');
+            };
+
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render the diagram image'));
+            };
+
+            image.src = url;
+        });
+    }
+
+    static download(blob, filename) {
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.style.display = 'none';
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        window.URL.revokeObjectURL(url);
+        document.body.removeChild(a);
+    }
+}
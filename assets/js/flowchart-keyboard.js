@@ -0,0 +1,405 @@
+/**
+ * Flowchart Collaborator - Keyboard Editing
+ * Moves focus between nodes along their connections, adds, connects, edits and nudges nodes without a mouse,
+ * and tells screen readers where focus is and what changed
+ */
+
+class FlowchartKeyboard {
+    constructor(editor) {
+        this.editor = editor;
+        this.focusedNodeId = null;
+        this.connectFromId = null;
+        this.branchParentId = null; // Node whose outgoing branches Left and Right cycle through
+        this.textEditor = null;
+        this.pointerFocus = false;
+
+        // Letter keys that add a node below the focused one. C is kept for connecting.
+        this.shortcuts = {
+            s: 'start',
+            p: 'process',
+            d: 'decision',
+            e: 'end',
+            o: 'connector',
+            i: 'data',
+            f: 'document',
+            u: 'subprocess',
+            m: 'manual-input',
+            n: 'manual-operation',
+            w: 'delay',
+            b: 'database',
+            a: 'annotation'
+        };
+
+        this.setupCanvasFocus();
+    }
+
+    // The canvas is one tab stop; tabbing onto it moves focus to a node, but clicking it doesn't
+    setupCanvasFocus() {
+        const svg = this.editor.canvas.svg.node();
+        svg.addEventListener('mousedown', () => {
+            this.pointerFocus = true;
+        }, true);
+        svg.addEventListener('focusout', () => {
+            this.pointerFocus = false;
+        });
+        svg.addEventListener('focus', (event) => {
+            // Shift+Tab back from a node stops on the canvas, so shortcuts still work there
+            if (this.pointerFocus || svg.contains(event.relatedTarget)) return;
+            this.focusCanvas();
+        });
+    }
+
+    /**
+     * Handle a key pressed while the canvas or one of its nodes has focus
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {boolean} True if the key was used
+     */
+    handleKeyDown(event) {
+        const svg = this.editor.canvas.svg.node();
+        if (!svg.contains(event.target) || event.ctrlKey || event.metaKey) return false;
+
+        const group = event.target.closest('.flowchart-node');
+        const node = group ? this.editor.findNodeById(group.getAttribute('data-node-id')) : null;
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+        if (key === 'Tab') {
+            // Tabbing past the last node leaves the canvas, as it would any other widget
+            const next = this.getTabTarget(node, event.shiftKey);
+            if (!next) return false;
+            this.focusNode(next);
+        } else if (key.startsWith('Arrow') && event.shiftKey) {
+            if (!this.nudge(key, event.altKey)) return false;
+        } else if (key.startsWith('Arrow')) {
+            const next = node ? this.getArrowTarget(node, key) : this.getTabTarget(null, false);
+            if (next) {
+                this.focusNode(next);
+            } else if (node) {
+                this.announce(`No node ${key === 'ArrowDown' ? 'after' : key === 'ArrowUp' ? 'before' : 'beside'} ${this.describe(node)}`);
+            }
+        } else if ((key === 'Enter' || key === 'c') && node && this.connectFromId && this.connectFromId !== node.id) {
+            this.completeConnection(node);
+        } else if (key === 'Enter' && node) {
+            this.startTextEdit(node);
+        } else if (key === 'c' && node) {
+            this.startConnection(node);
+        } else if (key === 'Escape') {
+            this.cancelConnection(true);
+        } else if ((key === 'Delete' || key === 'Backspace') && this.editor.getSelectionCount() > 0) {
+            this.deleteSelection(node);
+        } else if (this.shortcuts[key] && !event.altKey) {
+            this.addNode(this.shortcuts[key], node);
+        } else {
+            return false;
+        }
+
+        event.preventDefault();
+        return true;
+    }
+
+    getFocusedNode() {
+        return this.focusedNodeId ? this.editor.findNodeById(this.focusedNodeId) : null;
+    }
+
+    /**
+     * Give a node keyboard focus and select it
+     * @param {Object} node - Node to focus
+     */
+    focusNode(node) {
+        const group = this.editor.canvas.nodesGroup.select(`[data-node-id="${node.id}"]`);
+        if (group.empty()) return;
+
+        this.focusedNodeId = node.id;
+        // Connections may have changed since the node was drawn
+        group.attr('aria-label', this.describeWithNeighbours(node));
+        this.editor.selectElement(node, 'node');
+        group.node().focus();
+        this.editor.canvas.scrollNodeIntoView(node);
+    }
+
+    // Focus the selected node, or the first one in flow order
+    focusCanvas() {
+        const selected = this.editor.getSelectedNodes()[0];
+        const node = selected || this.getFocusedNode() || this.getFlowOrder()[0];
+        if (node) {
+            this.focusNode(node);
+        }
+    }
+
+    /**
+     * Nodes in the order Tab visits them: along connections from each start (or unconnected-into) node,
+     * then anything not reachable that way, top to bottom
+     * @returns {Array} Nodes of the active flowchart
+     */
+    getFlowOrder() {
+        const flowchart = this.editor.getCurrentFlowchart();
+        const byPosition = (a, b) => (a.y - b.y) || (a.x - b.x);
+        const hasIncoming = new Set(flowchart.connections.map(connection => connection.to));
+        const roots = [
+            ...flowchart.nodes.filter(node => node.type === 'start'),
+            ...flowchart.nodes.filter(node => node.type !== 'start' && !hasIncoming.has(node.id))
+        ].sort(byPosition);
+
+        const visited = new Set();
+        const order = [];
+        const visit = node => {
+            if (!node || visited.has(node.id)) return;
+            visited.add(node.id);
+            order.push(node);
+            this.getTargets(node).forEach(visit);
+        };
+        roots.forEach(visit);
+        flowchart.nodes.slice().sort(byPosition).forEach(visit);
+
+        return order;
+    }
+
+    getTabTarget(node, backwards) {
+        const order = this.getFlowOrder();
+        if (!node) return backwards ? order[order.length - 1] : order[0];
+
+        const index = order.findIndex(n => n.id === node.id);
+        return order[index + (backwards ? -1 : 1)] || null;
+    }
+
+    /**
+     * Down follows the first outgoing connection and Up the first incoming one.
+     * Left and Right step between the branches leaving the node focus came from.
+     */
+    getArrowTarget(node, key) {
+        if (key === 'ArrowDown') {
+            const target = this.getTargets(node)[0];
+            if (target) this.branchParentId = node.id;
+            return target || null;
+        }
+        if (key === 'ArrowUp') {
+            const source = this.getSources(node)[0];
+            this.branchParentId = null;
+            return source || null;
+        }
+
+        const parent = (this.branchParentId && this.editor.findNodeById(this.branchParentId)) || this.getSources(node)[0];
+        if (!parent) return null;
+
+        const siblings = this.getTargets(parent);
+        const index = siblings.findIndex(sibling => sibling.id === node.id);
+        if (siblings.length < 2 || index === -1) return null;
+
+        this.branchParentId = parent.id;
+        const step = key === 'ArrowRight' ? 1 : -1;
+        return siblings[(index + step + siblings.length) % siblings.length];
+    }
+
+    getTargets(node) {
+        return this.editor.getCurrentFlowchart().connections
+            .filter(connection => connection.from === node.id)
+            .map(connection => this.editor.findNodeById(connection.to))
+            .filter(Boolean);
+    }
+
+    getSources(node) {
+        return this.editor.getCurrentFlowchart().connections
+            .filter(connection => connection.to === node.id)
+            .map(connection => this.editor.findNodeById(connection.from))
+            .filter(Boolean);
+    }
+
+    /**
+     * Add a node below the focused one (or in the middle of the view), then focus it
+     * @param {string} type - Node type
+     * @param {Object|null} from - Focused node to place the new one under
+     * @returns {Object} The new node
+     */
+    addNode(type, from) {
+        const editor = this.editor;
+        const size = editor.getDefaultNodeSize(type);
+        const center = from
+            ? { x: from.x + from.width / 2, y: from.y + from.height + 60 + size.height / 2 }
+            : editor.canvas.getViewCenter();
+        let position = editor.canvas.alignment.snapPoint({ x: center.x - size.width / 2, y: center.y - size.height / 2 });
+
+        // Step down past anything already there
+        const overlaps = point => editor.getCurrentFlowchart().nodes.some(node =>
+            point.x < node.x + node.width && point.x + size.width > node.x &&
+            point.y < node.y + node.height && point.y + size.height > node.y);
+        while (overlaps(position)) {
+            position = { x: position.x, y: position.y + size.height + 20 };
+        }
+
+        const node = editor.addNode(type, position.x, position.y);
+        this.focusNode(node);
+        this.announce(`Added ${this.describe(node)}${from ? ` below ${this.describe(from)}` : ''}`);
+        return node;
+    }
+
+    startConnection(node) {
+        this.cancelConnection(false);
+        this.connectFromId = node.id;
+        this.editor.canvas.nodesGroup.select(`[data-node-id="${node.id}"]`).classed('connect-source', true);
+        this.announce(`Connecting from ${this.describe(node)}. Move to the target node and press Enter or C. Escape cancels.`);
+    }
+
+    completeConnection(node) {
+        const from = this.editor.findNodeById(this.connectFromId);
+        this.cancelConnection(false);
+        if (!from || from.id === node.id) return;
+
+        this.editor.addConnection(from.id, node.id);
+        this.focusNode(node);
+        this.announce(`Connected ${this.describe(from)} to ${this.describe(node)}`);
+    }
+
+    cancelConnection(announce) {
+        if (!this.connectFromId) return;
+
+        this.editor.canvas.nodesGroup.selectAll('.connect-source').classed('connect-source', false);
+        this.connectFromId = null;
+        if (announce) {
+            this.announce('Connection cancelled');
+        }
+    }
+
+    /**
+     * Move the selected nodes one grid step (or one pixel with Alt) as a single undo step
+     * @returns {boolean} False if nothing is selected
+     */
+    nudge(key, fine) {
+        const nodes = this.editor.getSelectedNodes();
+        if (nodes.length === 0) return false;
+
+        const alignment = this.editor.canvas.alignment;
+        const step = fine ? 1 : alignment.snapToGrid ? alignment.gridSize : 10;
+        const delta = {
+            ArrowLeft: { x: -step, y: 0 },
+            ArrowRight: { x: step, y: 0 },
+            ArrowUp: { x: 0, y: -step },
+            ArrowDown: { x: 0, y: step }
+        }[key];
+
+        const positions = {};
+        nodes.forEach(node => {
+            positions[node.id] = { x: node.x + delta.x, y: node.y + delta.y };
+        });
+        this.editor.moveNodesTo(positions, nodes.length === 1 ? 'nudge node' : `nudge ${nodes.length} nodes`);
+        window.updatePropertiesPanel();
+        return true;
+    }
+
+    // Delete the selection, then keep focus on the canvas at the nearest surviving neighbour
+    deleteSelection(node) {
+        const selected = new Set(this.editor.selection.nodeIds);
+        const fallback = node && [...this.getTargets(node), ...this.getSources(node), ...this.getFlowOrder()]
+            .find(candidate => !selected.has(candidate.id));
+        const count = this.editor.getSelectionCount();
+
+        window.deleteSelection();
+        this.focusedNodeId = null;
+        this.announce(`Deleted ${count} element${count === 1 ? '' : 's'}`);
+
+        if (fallback && this.editor.findNodeById(fallback.id)) {
+            this.focusNode(fallback);
+        } else {
+            this.editor.canvas.svg.node().focus();
+        }
+    }
+
+    /**
+     * Edit a node's text in place. Enter saves, Shift+Enter adds a line, Escape cancels.
+     * @param {Object} node - Node to edit
+     */
+    startTextEdit(node) {
+        this.stopTextEdit(false);
+
+        const canvas = this.editor.canvas;
+        const group = canvas.nodesGroup.select(`[data-node-id="${node.id}"]`).node();
+        const container = canvas.svg.node().parentNode;
+        if (!group) return;
+
+        const box = group.getBoundingClientRect();
+        const origin = container.getBoundingClientRect();
+        const scale = d3.zoomTransform(canvas.svg.node()).k;
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'inline-node-editor';
+        textarea.value = node.text || '';
+        textarea.setAttribute('aria-label', `Text for ${this.describe(node)}`);
+        Object.assign(textarea.style, {
+            left: `${box.left - origin.left}px`,
+            top: `${box.top - origin.top}px`,
+            width: `${Math.max(box.width, 120)}px`,
+            height: `${Math.max(box.height, 40)}px`,
+            fontSize: `${canvas.nodeStyle.getFontSize(node.style) * scale}px`
+        });
+
+        textarea.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                this.stopTextEdit(true);
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                this.stopTextEdit(false);
+            }
+        });
+        textarea.addEventListener('blur', () => this.stopTextEdit(true));
+
+        container.appendChild(textarea);
+        this.textEditor = { nodeId: node.id, textarea };
+        textarea.focus();
+        textarea.select();
+    }
+
+    stopTextEdit(save) {
+        if (!this.textEditor) return;
+
+        // Clear first - removing the textarea blurs it, which calls back in here
+        const { nodeId, textarea } = this.textEditor;
+        this.textEditor = null;
+        textarea.remove();
+
+        const node = this.editor.findNodeById(nodeId);
+        if (!node) return;
+
+        if (save && textarea.value !== node.text) {
+            this.editor.updateNodeText(nodeId, textarea.value);
+            window.updatePropertiesPanel();
+            window.saveToLocalStorage();
+        }
+        this.focusNode(node);
+    }
+
+    describe(node) {
+        const type = node.type.replace(/-/g, ' ');
+        const text = (node.text || '').replace(/\s+/g, ' ').trim();
+        return text ? `${type} "${text}"` : type;
+    }
+
+    /**
+     * What a screen reader says when a node gets focus: the node, then where its connections lead
+     * @param {Object} node - Node data
+     * @returns {string} e.g. 'decision "In stock?". Leads to process "Ship" (yes). Comes from start "Start".'
+     */
+    describeWithNeighbours(node) {
+        const connections = this.editor.getCurrentFlowchart().connections;
+        const list = (ends, endKey) => ends.map(connection => {
+            const other = this.editor.findNodeById(connection[endKey]);
+            const label = connection.label ? ` (${connection.label})` : '';
+            return other ? `${this.describe(other)}${label}` : null;
+        }).filter(Boolean).join(', ');
+
+        const outgoing = list(connections.filter(connection => connection.from === node.id), 'to');
+        const incoming = list(connections.filter(connection => connection.to === node.id), 'from');
+
+        return [
+            `${this.describe(node)}.`,
+            outgoing ? `Leads to ${outgoing}.` : 'No outgoing connections.',
+            incoming ? `Comes from ${incoming}.` : ''
+        ].filter(Boolean).join(' ');
+    }
+
+    announce(message) {
+        const announcer = document.getElementById('flowchart-announcer');
+        if (announcer) {
+            announcer.textContent = message;
+        }
+    }
+}
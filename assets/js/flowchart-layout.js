@@ -0,0 +1,454 @@
+/**
+ * Flowchart Collaborator - Automatic Layout
+ * Layered (Sugiyama-style) placement of flowchart nodes
+ */
+
+class FlowchartLayout {
+    /**
+     * @param {Object} options - Layout options
+     * @param {string} options.direction - 'TB' (top-to-bottom) or 'LR' (left-to-right)
+     * @param {number} options.layerSpacing - Gap between layers in pixels
+     * @param {number} options.nodeSpacing - Gap between nodes in the same layer in pixels
+     */
+    constructor(options = {}) {
+        this.direction = options.direction === 'LR' ? 'LR' : 'TB';
+        this.layerSpacing = options.layerSpacing || 80;
+        this.nodeSpacing = options.nodeSpacing || 40;
+        this.margin = options.margin || 50;
+        this.sweeps = 6;
+        this.dummySize = 20;
+    }
+
+    /**
+     * Check whether a node already has usable coordinates
+     * @param {Object} node - Node data
+     * @returns {boolean} True if x and y are finite numbers
+     */
+    static hasPosition(node) {
+        return Number.isFinite(node.x) && Number.isFinite(node.y);
+    }
+
+    /**
+     * Compute positions for every node in the graph
+     * @param {Array} nodes - Node data
+     * @param {Array} connections - Connection data
+     * @returns {Object} Map of node ID to top-left {x, y}
+     */
+    layout(nodes, connections) {
+        if (nodes.length === 0) return {};
+
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        const edges = this.getEdges(nodeById, connections);
+        const acyclicEdges = this.removeCycles(nodes, edges);
+        const layerOf = this.assignLayers(nodes, acyclicEdges);
+        const graph = this.buildLayeredGraph(nodes, acyclicEdges, layerOf);
+
+        this.orderLayers(graph);
+        return this.assignCoordinates(graph, nodeById);
+    }
+
+    /**
+     * Compute positions only for nodes without coordinates, keeping placed nodes fixed.
+     * New nodes are anchored to their nearest placed neighbour and nudged off any overlap.
+     * @param {Array} nodes - Node data
+     * @param {Array} connections - Connection data
+     * @returns {Object} Map of node ID to top-left {x, y} for unpositioned nodes
+     */
+    layoutUnpositioned(nodes, connections) {
+        const missing = nodes.filter(node => !FlowchartLayout.hasPosition(node));
+        if (missing.length === 0) return {};
+
+        const full = this.layout(nodes, connections);
+        const placed = nodes.filter(node => FlowchartLayout.hasPosition(node));
+        if (placed.length === 0) return full;
+
+        const fallbackOffset = this.getFallbackOffset(placed, missing, full);
+        const neighbours = this.getNeighbourMap(connections);
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        const occupied = placed.map(node => ({ x: node.x, y: node.y, width: node.width, height: node.height }));
+        const result = {};
+
+        missing.forEach(node => {
+            const anchor = this.findPlacedNeighbour(node.id, neighbours, nodeById);
+            const offset = anchor
+                ? { x: anchor.x - full[anchor.id].x, y: anchor.y - full[anchor.id].y }
+                : fallbackOffset;
+
+            const position = this.findFreePosition(
+                { x: full[node.id].x + offset.x, y: full[node.id].y + offset.y, width: node.width, height: node.height },
+                occupied
+            );
+
+            occupied.push({ ...position, width: node.width, height: node.height });
+            result[node.id] = position;
+        });
+
+        return result;
+    }
+
+    getEdges(nodeById, connections) {
+        const seen = new Set();
+        return connections
+            .filter(connection => {
+                const key = `${connection.from}->${connection.to}`;
+                if (connection.from === connection.to || seen.has(key)) return false;
+                seen.add(key);
+                return nodeById.has(connection.from) && nodeById.has(connection.to);
+            })
+            .map(connection => ({ from: connection.from, to: connection.to }));
+    }
+
+    /**
+     * Reverse back edges found by a depth-first search that starts from start nodes
+     */
+    removeCycles(nodes, edges) {
+        const outgoing = this.groupEdges(edges, 'from');
+        const incoming = this.groupEdges(edges, 'to');
+        const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+        const backEdges = new Set();
+
+        const roots = [
+            ...nodes.filter(node => node.type === 'start'),
+            ...nodes.filter(node => node.type !== 'start' && !(incoming.get(node.id) || []).length),
+            ...nodes
+        ];
+
+        const visit = (rootId) => {
+            const stack = [{ id: rootId, index: 0 }];
+            state.set(rootId, 1);
+
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                const edgesOut = outgoing.get(frame.id) || [];
+
+                if (frame.index >= edgesOut.length) {
+                    state.set(frame.id, 2);
+                    stack.pop();
+                    continue;
+                }
+
+                const edge = edgesOut[frame.index++];
+                const targetState = state.get(edge.to);
+                if (targetState === 1) {
+                    backEdges.add(edge);
+                } else if (targetState === undefined) {
+                    state.set(edge.to, 1);
+                    stack.push({ id: edge.to, index: 0 });
+                }
+            }
+        };
+
+        roots.forEach(node => {
+            if (!state.has(node.id)) visit(node.id);
+        });
+
+        return edges.map(edge => backEdges.has(edge)
+            ? { from: edge.to, to: edge.from, reversed: true }
+            : edge);
+    }
+
+    /**
+     * Longest-path layering, with start nodes on the first layer and end nodes on the last
+     */
+    assignLayers(nodes, edges) {
+        const outgoing = this.groupEdges(edges, 'from');
+        const incoming = this.groupEdges(edges, 'to');
+        const layerOf = new Map();
+        const remaining = new Map(nodes.map(node => [node.id, (incoming.get(node.id) || []).length]));
+        const queue = nodes.filter(node => remaining.get(node.id) === 0).map(node => node.id);
+
+        queue.forEach(id => layerOf.set(id, 0));
+        while (queue.length) {
+            const id = queue.shift();
+            (outgoing.get(id) || []).forEach(edge => {
+                layerOf.set(edge.to, Math.max(layerOf.get(edge.to) || 0, layerOf.get(id) + 1));
+                remaining.set(edge.to, remaining.get(edge.to) - 1);
+                if (remaining.get(edge.to) === 0) queue.push(edge.to);
+            });
+        }
+
+        // Pull sources that are not start nodes down next to their first successor
+        nodes.forEach(node => {
+            const successors = outgoing.get(node.id) || [];
+            if (node.type !== 'start' && !(incoming.get(node.id) || []).length && successors.length) {
+                layerOf.set(node.id, Math.max(0, Math.min(...successors.map(edge => layerOf.get(edge.to))) - 1));
+            }
+        });
+
+        // Push end nodes without successors to the bottom layer
+        const lastLayer = Math.max(0, ...layerOf.values());
+        nodes.forEach(node => {
+            if (node.type === 'end' && !(outgoing.get(node.id) || []).length && (incoming.get(node.id) || []).length) {
+                layerOf.set(node.id, lastLayer);
+            }
+        });
+
+        return layerOf;
+    }
+
+    /**
+     * Split edges that span several layers with dummy nodes so they take part in ordering
+     */
+    buildLayeredGraph(nodes, edges, layerOf) {
+        const layerCount = Math.max(0, ...layerOf.values()) + 1;
+        const layers = Array.from({ length: layerCount }, () => []);
+        const predecessors = new Map();
+        const successors = new Map();
+        const link = (from, to) => {
+            successors.get(from).push(to);
+            predecessors.get(to).push(from);
+        };
+        const addVertex = (id, layer, dummy) => {
+            layers[layer].push(id);
+            predecessors.set(id, []);
+            successors.set(id, []);
+            return { id, layer, dummy };
+        };
+
+        const vertices = new Map();
+        nodes.forEach(node => vertices.set(node.id, addVertex(node.id, layerOf.get(node.id), false)));
+
+        let dummyCount = 0;
+        edges.forEach(edge => {
+            let previous = edge.from;
+            for (let layer = layerOf.get(edge.from) + 1; layer < layerOf.get(edge.to); layer++) {
+                const dummyId = `__dummy-${dummyCount++}`;
+                vertices.set(dummyId, addVertex(dummyId, layer, true));
+                link(previous, dummyId);
+                previous = dummyId;
+            }
+            link(previous, edge.to);
+        });
+
+        return { layers, vertices, predecessors, successors };
+    }
+
+    /**
+     * Reduce crossings with alternating barycenter sweeps, keeping the best ordering found
+     */
+    orderLayers(graph) {
+        const { layers, predecessors, successors } = graph;
+        let best = layers.map(layer => layer.slice());
+        let bestCrossings = this.countCrossings(layers, successors);
+
+        for (let sweep = 0; sweep < this.sweeps && bestCrossings > 0; sweep++) {
+            const downward = sweep % 2 === 0;
+            const indices = downward
+                ? layers.map((_, index) => index).slice(1)
+                : layers.map((_, index) => index).reverse().slice(1);
+
+            indices.forEach(layerIndex => {
+                const reference = downward ? layers[layerIndex - 1] : layers[layerIndex + 1];
+                const neighbours = downward ? predecessors : successors;
+                this.sortByBarycenter(layers[layerIndex], reference, neighbours);
+            });
+
+            const crossings = this.countCrossings(layers, successors);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => layer.slice());
+            }
+        }
+
+        best.forEach((layer, index) => {
+            layers[index] = layer;
+        });
+    }
+
+    sortByBarycenter(layer, referenceLayer, neighbours) {
+        const position = new Map(referenceLayer.map((id, index) => [id, index]));
+        const barycenters = new Map();
+
+        layer.forEach((id, index) => {
+            const linked = neighbours.get(id).filter(neighbour => position.has(neighbour));
+            barycenters.set(id, linked.length
+                ? linked.reduce((sum, neighbour) => sum + position.get(neighbour), 0) / linked.length
+                : index);
+        });
+
+        // Array.prototype.sort is stable, so decision branches keep their connection order on ties
+        layer.sort((a, b) => barycenters.get(a) - barycenters.get(b));
+    }
+
+    countCrossings(layers, successors) {
+        let crossings = 0;
+
+        for (let index = 0; index < layers.length - 1; index++) {
+            const nextPosition = new Map(layers[index + 1].map((id, position) => [id, position]));
+            const segments = [];
+            layers[index].forEach((id, position) => {
+                successors.get(id).forEach(target => segments.push([position, nextPosition.get(target)]));
+            });
+
+            for (let i = 0; i < segments.length; i++) {
+                for (let j = i + 1; j < segments.length; j++) {
+                    const [a1, a2] = segments[i];
+                    const [b1, b2] = segments[j];
+                    if ((a1 - b1) * (a2 - b2) < 0) crossings++;
+                }
+            }
+        }
+
+        return crossings;
+    }
+
+    /**
+     * Place layers along the main axis and nodes along the cross axis,
+     * aligning each node with its predecessors where there is room
+     */
+    assignCoordinates(graph, nodeById) {
+        const vertical = this.direction === 'TB';
+        const sizeOf = (id) => {
+            const node = nodeById.get(id);
+            if (!node) return { main: 0, cross: this.dummySize };
+            return vertical
+                ? { main: node.height, cross: node.width }
+                : { main: node.width, cross: node.height };
+        };
+
+        const crossCenter = new Map();
+        const positions = {};
+        let mainOffset = 0;
+
+        graph.layers.forEach((layer, layerIndex) => {
+            const sizes = layer.map(sizeOf);
+            const thickness = Math.max(0, ...sizes.map(size => size.main));
+
+            // Desired centre: average of already placed predecessors, or packed order for the first layer
+            const desired = layer.map((id, index) => {
+                const placed = graph.predecessors.get(id).filter(pred => crossCenter.has(pred));
+                if (layerIndex > 0 && placed.length) {
+                    return placed.reduce((sum, pred) => sum + crossCenter.get(pred), 0) / placed.length;
+                }
+                return index * (sizes[index].cross + this.nodeSpacing);
+            });
+
+            // Resolve overlaps left to right, then shift the layer back towards its desired centres
+            const centers = [];
+            layer.forEach((id, index) => {
+                if (index === 0) {
+                    centers.push(desired[index]);
+                } else {
+                    const minimum = centers[index - 1] + (sizes[index - 1].cross + sizes[index].cross) / 2 + this.nodeSpacing;
+                    centers.push(Math.max(desired[index], minimum));
+                }
+            });
+            const shift = centers.length
+                ? centers.reduce((sum, center, index) => sum + desired[index] - center, 0) / centers.length
+                : 0;
+
+            layer.forEach((id, index) => {
+                const center = centers[index] + shift;
+                crossCenter.set(id, center);
+
+                const node = nodeById.get(id);
+                if (!node) return;
+
+                const mainPosition = mainOffset + (thickness - sizes[index].main) / 2;
+                const crossPosition = center - sizes[index].cross / 2;
+                positions[id] = vertical
+                    ? { x: crossPosition, y: mainPosition }
+                    : { x: mainPosition, y: crossPosition };
+            });
+
+            mainOffset += thickness + this.layerSpacing;
+        });
+
+        return this.normalizePositions(positions);
+    }
+
+    normalizePositions(positions) {
+        const values = Object.values(positions);
+        const minX = Math.min(...values.map(position => position.x));
+        const minY = Math.min(...values.map(position => position.y));
+
+        Object.keys(positions).forEach(id => {
+            positions[id] = {
+                x: Math.round(positions[id].x - minX + this.margin),
+                y: Math.round(positions[id].y - minY + this.margin)
+            };
+        });
+
+        return positions;
+    }
+
+    getFallbackOffset(placed, missing, full) {
+        const placedMax = this.direction === 'TB'
+            ? Math.max(...placed.map(node => node.y + node.height))
+            : Math.max(...placed.map(node => node.x + node.width));
+        const placedMin = this.direction === 'TB'
+            ? Math.min(...placed.map(node => node.x))
+            : Math.min(...placed.map(node => node.y));
+        const layoutMainMin = Math.min(...missing.map(node => this.direction === 'TB' ? full[node.id].y : full[node.id].x));
+        const layoutCrossMin = Math.min(...missing.map(node => this.direction === 'TB' ? full[node.id].x : full[node.id].y));
+
+        const mainOffset = placedMax + this.layerSpacing - layoutMainMin;
+        const crossOffset = placedMin - layoutCrossMin;
+        return this.direction === 'TB'
+            ? { x: crossOffset, y: mainOffset }
+            : { x: mainOffset, y: crossOffset };
+    }
+
+    getNeighbourMap(connections) {
+        const neighbours = new Map();
+        const add = (a, b) => {
+            if (!neighbours.has(a)) neighbours.set(a, []);
+            neighbours.get(a).push(b);
+        };
+        connections.forEach(connection => {
+            add(connection.from, connection.to);
+            add(connection.to, connection.from);
+        });
+        return neighbours;
+    }
+
+    findPlacedNeighbour(nodeId, neighbours, nodeById) {
+        const visited = new Set([nodeId]);
+        const queue = [nodeId];
+
+        while (queue.length) {
+            const id = queue.shift();
+            for (const neighbourId of neighbours.get(id) || []) {
+                if (visited.has(neighbourId) || !nodeById.has(neighbourId)) continue;
+
+                const neighbour = nodeById.get(neighbourId);
+                if (FlowchartLayout.hasPosition(neighbour)) return neighbour;
+
+                visited.add(neighbourId);
+                queue.push(neighbourId);
+            }
+        }
+
+        return null;
+    }
+
+    findFreePosition(box, occupied) {
+        const overlaps = (candidate) => occupied.some(other =>
+            candidate.x < other.x + other.width + this.nodeSpacing / 2 &&
+            candidate.x + candidate.width + this.nodeSpacing / 2 > other.x &&
+            candidate.y < other.y + other.height + this.nodeSpacing / 2 &&
+            candidate.y + candidate.height + this.nodeSpacing / 2 > other.y
+        );
+
+        const step = this.direction === 'TB'
+            ? { x: box.width + this.nodeSpacing, y: 0 }
+            : { x: 0, y: box.height + this.nodeSpacing };
+        const candidate = { ...box };
+
+        for (let attempt = 0; attempt < 50 && overlaps(candidate); attempt++) {
+            candidate.x += step.x;
+            candidate.y += step.y;
+        }
+
+        return { x: Math.round(candidate.x), y: Math.round(candidate.y) };
+    }
+
+    groupEdges(edges, key) {
+        const groups = new Map();
+        edges.forEach(edge => {
+            if (!groups.has(edge[key])) groups.set(edge[key], []);
+            groups.get(edge[key]).push(edge);
+        });
+        return groups;
+    }
+}
@@ -0,0 +1,467 @@
+/**
+ * Flowchart Collaborator - Merge Import
+ * Compares an imported flowchart with the document by element ID and applies only the changes the user accepts
+ */
+
+class FlowchartMergeReview {
+    constructor(editor) {
+        this.editor = editor;
+        this.active = false;
+        this.changes = [];
+        this.questions = []; // { flowchartId, question } pairs, merged when the review is applied
+        this.nextKey = 1;
+
+        // Fields an import may change. Positions, styles and status decisions always stay as they are.
+        this.fields = {
+            nodes: [
+                { name: 'text', label: 'Text', get: node => node.text || '' },
+                { name: 'type', label: 'Type', get: node => node.type || 'process' },
+                { name: 'note', label: 'Note', get: node => (node.metadata && node.metadata.note) || '' }
+            ],
+            connections: [
+                { name: 'from', label: 'From', get: connection => connection.from },
+                { name: 'to', label: 'To', get: connection => connection.to },
+                { name: 'label', label: 'Label', get: connection => connection.label || '' },
+                { name: 'style', label: 'Line style', get: connection => connection.style || 'solid' }
+            ]
+        };
+    }
+
+    /**
+     * Compare imported data with the document and show the differences for review
+     * @param {Object} jsonData - A full document, or a single flowchart's nodes, connections and questions
+     * @param {Object} options - { direction } used to place added nodes that have no coordinates
+     * @returns {Array} The changes found
+     */
+    start(jsonData, options = {}) {
+        const editor = this.editor;
+        const isDocument = Array.isArray(jsonData.flowcharts);
+        const incomingFlowcharts = isDocument
+            ? jsonData.flowcharts
+            : [{ ...jsonData, id: editor.getCurrentFlowchart().id }];
+
+        this.changes = [];
+        this.questions = [];
+
+        incomingFlowcharts.forEach(incoming => {
+            if (!incoming || typeof incoming !== 'object') return;
+            const current = editor.findFlowchartById(incoming.id);
+
+            if (!current) {
+                if (Array.isArray(incoming.nodes) && incoming.nodes.length) {
+                    this.changes.push(this.createFlowchartChange(incoming));
+                }
+                return;
+            }
+
+            // Questions outside a full document go to the flowchart of the element they ask about
+            (incoming.questions || []).forEach(question => this.questions.push({ flowchartId: isDocument ? current.id : null, question }));
+            this.changes.push(...this.diffFlowchart(current, incoming, options.direction));
+        });
+
+        this.active = this.changes.length > 0;
+        this.render();
+        return this.changes;
+    }
+
+    /**
+     * Changes between one flowchart and its imported version. Collections the import leaves out
+     * (an answers-only response, say) are not treated as removed.
+     */
+    diffFlowchart(current, incoming, direction) {
+        const changes = [];
+        const editor = this.editor;
+
+        // Added elements are normalized now so they can be previewed at their final size and position
+        const addedNodes = [];
+        if (Array.isArray(incoming.nodes)) {
+            const currentNodes = new Map(current.nodes.map(node => [node.id, node]));
+            const incomingIds = new Set();
+
+            incoming.nodes.filter(node => node && typeof node === 'object').forEach(node => {
+                const existing = node.id && currentNodes.get(node.id);
+                incomingIds.add(node.id);
+
+                if (existing) {
+                    const fields = this.compareFields('nodes', existing, node);
+                    if (fields.length) {
+                        changes.push(this.createChange(current.id, 'nodes', 'modified', existing.id, node, fields));
+                    }
+                } else {
+                    addedNodes.push(this.snapshot(node));
+                }
+            });
+
+            current.nodes.filter(node => !incomingIds.has(node.id)).forEach(node => {
+                changes.push(this.createChange(current.id, 'nodes', 'removed', node.id, null, []));
+            });
+        }
+
+        const incomingConnections = Array.isArray(incoming.connections)
+            ? incoming.connections.filter(connection => connection && typeof connection === 'object').map(connection => this.snapshot(connection))
+            : null;
+        this.resolveIdConflicts(current, addedNodes, incomingConnections || []);
+        addedNodes.forEach(node => {
+            editor.normalizeNode(node);
+            changes.push(this.createChange(current.id, 'nodes', 'added', node.id, node, []));
+        });
+
+        if (incomingConnections) {
+            const currentConnections = new Map(current.connections.map(connection => [connection.id, connection]));
+            const matchedIds = new Set();
+
+            incomingConnections.forEach(connection => {
+                // AI responses often leave connection IDs out, so fall back to matching the same two nodes
+                const existing = (connection.id && currentConnections.get(connection.id))
+                    || (!connection.id && current.connections.find(c => c.from === connection.from && c.to === connection.to && !matchedIds.has(c.id)));
+
+                if (existing) {
+                    matchedIds.add(existing.id);
+                    const fields = this.compareFields('connections', existing, connection);
+                    if (fields.length) {
+                        changes.push(this.createChange(current.id, 'connections', 'modified', existing.id, connection, fields));
+                    }
+                } else {
+                    editor.normalizeConnection(connection);
+                    changes.push(this.createChange(current.id, 'connections', 'added', connection.id, connection, []));
+                }
+            });
+
+            current.connections.filter(connection => !matchedIds.has(connection.id)).forEach(connection => {
+                changes.push(this.createChange(current.id, 'connections', 'removed', connection.id, null, []));
+            });
+        }
+
+        this.placeAddedNodes(current, changes, direction);
+        return changes;
+    }
+
+    compareFields(collection, existing, incoming) {
+        // A field the import leaves out is unchanged, not reset to its default
+        const provided = field => field.name === 'note'
+            ? Boolean(incoming.metadata) && incoming.metadata.note !== undefined
+            : incoming[field.name] !== undefined;
+
+        return this.fields[collection]
+            .filter(provided)
+            .map(field => ({ name: field.name, label: field.label, before: field.get(existing), after: field.get(incoming) }))
+            .filter(field => field.before !== field.after);
+    }
+
+    /**
+     * IDs are unique across the whole document, so an added element that reuses an ID from another
+     * flowchart gets a fresh one, and the imported connections follow any node that changes
+     */
+    resolveIdConflicts(current, addedNodes, connections) {
+        const editor = this.editor;
+        const others = editor.data.flowcharts.filter(f => f !== current);
+        const usedNodeIds = new Set(others.flatMap(f => f.nodes.map(node => node.id)));
+        const usedConnectionIds = new Set(others.flatMap(f => f.connections.map(connection => connection.id)));
+
+        connections.forEach(connection => {
+            if (connection.id && usedConnectionIds.has(connection.id)) {
+                delete connection.id;
+            }
+        });
+
+        addedNodes.forEach(node => {
+            if (!node.id || !usedNodeIds.has(node.id)) return;
+
+            const oldId = node.id;
+            do {
+                node.id = `node-${editor.nextNodeId++}`;
+            } while (usedNodeIds.has(node.id) || addedNodes.some(other => other !== node && other.id === node.id));
+            connections.forEach(connection => {
+                if (connection.from === oldId) connection.from = node.id;
+                if (connection.to === oldId) connection.to = node.id;
+            });
+        });
+    }
+
+    // Added nodes without coordinates go next to the nodes they connect to
+    placeAddedNodes(current, changes, direction = 'TB') {
+        const added = changes.filter(change => change.collection === 'nodes' && change.kind === 'added').map(change => change.element);
+        if (!added.some(node => !FlowchartLayout.hasPosition(node))) return;
+
+        const removedIds = new Set(changes.filter(change => change.kind === 'removed').map(change => change.elementId));
+        const nodes = [...current.nodes.filter(node => !removedIds.has(node.id)), ...added];
+        const connections = [
+            ...current.connections.filter(connection => !removedIds.has(connection.id)),
+            ...changes.filter(change => change.collection === 'connections' && change.kind === 'added').map(change => change.element)
+        ];
+
+        const positions = new FlowchartLayout({ direction }).layoutUnpositioned(nodes, connections);
+        added.forEach(node => {
+            if (positions[node.id]) {
+                node.x = positions[node.id].x;
+                node.y = positions[node.id].y;
+            }
+        });
+    }
+
+    createChange(flowchartId, collection, kind, elementId, element, fields) {
+        return {
+            key: `change-${this.nextKey++}`,
+            flowchartId,
+            collection,
+            kind,
+            elementId,
+            element,
+            fields,
+            accepted: true
+        };
+    }
+
+    createFlowchartChange(incoming) {
+        const flowchart = this.snapshot(incoming);
+        return this.createChange(flowchart.id, 'flowcharts', 'added', flowchart.id, flowchart, []);
+    }
+
+    setDecision(key, accepted) {
+        const change = this.changes.find(c => c.key === key);
+        if (change) {
+            change.accepted = accepted;
+            this.render();
+        }
+    }
+
+    setAllDecisions(accepted) {
+        this.changes.forEach(change => {
+            change.accepted = accepted;
+        });
+        this.render();
+    }
+
+    /**
+     * Apply accepted changes, and merge any questions and answers, as one undo step
+     * @returns {Object|null} { applied, answered, added, resolved }, or null if nothing changed
+     */
+    apply() {
+        const editor = this.editor;
+        const accepted = this.changes.filter(change => change.accepted);
+        if (accepted.length === 0 && this.questions.length === 0) {
+            this.stop();
+            return null;
+        }
+
+        const summary = editor.recordDocumentChange('merge import', () => {
+            accepted.filter(change => change.collection === 'flowcharts').forEach(change => {
+                editor.data.flowcharts.push(this.prepareFlowchart(change.element));
+            });
+            editor.data.flowcharts.forEach(flowchart => {
+                this.applyToFlowchart(flowchart, accepted.filter(change => change.flowchartId === flowchart.id && change.collection !== 'flowcharts'));
+            });
+
+            const questions = editor.questionBank.merge(editor.data.flowcharts, this.questions, editor.getCurrentFlowchart(), () => `q-${editor.nextQuestionId++}`);
+            return { applied: accepted.length, ...questions };
+        });
+
+        this.stop();
+        editor.switchFlowchart(editor.getCurrentFlowchart().id);
+        return summary.applied || summary.answered || summary.added || summary.resolved ? summary : null;
+    }
+
+    applyToFlowchart(flowchart, changes) {
+        const editor = this.editor;
+        const of = (collection, kind) => changes.filter(change => change.collection === collection && change.kind === kind);
+
+        // Removing a node takes its connections with it, as deleting it on the canvas would
+        const removedNodeIds = new Set(of('nodes', 'removed').map(change => change.elementId));
+        const removedConnectionIds = new Set(of('connections', 'removed').map(change => change.elementId));
+        flowchart.nodes = flowchart.nodes.filter(node => !removedNodeIds.has(node.id));
+        flowchart.connections = flowchart.connections.filter(connection =>
+            !removedConnectionIds.has(connection.id) && !removedNodeIds.has(connection.from) && !removedNodeIds.has(connection.to));
+
+        of('nodes', 'modified').forEach(change => {
+            const node = flowchart.nodes.find(n => n.id === change.elementId);
+            if (!node) return;
+            change.fields.forEach(field => {
+                if (field.name === 'type') {
+                    editor.applyNodeType(node, field.after);
+                } else if (field.name === 'note') {
+                    node.metadata.note = field.after;
+                } else {
+                    node[field.name] = field.after;
+                }
+            });
+            editor.fitNodeToText(node);
+        });
+
+        of('connections', 'modified').forEach(change => {
+            const connection = flowchart.connections.find(c => c.id === change.elementId);
+            if (!connection) return;
+            change.fields.forEach(field => {
+                connection[field.name] = field.after;
+            });
+        });
+
+        of('nodes', 'added').forEach(change => {
+            flowchart.nodes.push(this.snapshot(change.element));
+        });
+
+        // A connection whose end was rejected or removed has nothing to attach to
+        const nodeIds = new Set(flowchart.nodes.map(node => node.id));
+        of('connections', 'added')
+            .filter(change => nodeIds.has(change.element.from) && nodeIds.has(change.element.to))
+            .forEach(change => {
+                flowchart.connections.push(this.snapshot(change.element));
+            });
+    }
+
+    // A flowchart the document doesn't have yet, with fresh IDs wherever they would clash
+    prepareFlowchart(incoming) {
+        const editor = this.editor;
+        const flowchart = {
+            ...editor.createFlowchart(incoming.title || `Sub-process ${editor.data.flowcharts.length}`),
+            ...this.snapshot(incoming)
+        };
+        ['nodes', 'connections', 'questions', 'walkthroughs', 'containers'].forEach(collection => {
+            flowchart[collection] = Array.isArray(flowchart[collection]) ? flowchart[collection] : [];
+        });
+
+        this.resolveIdConflicts(flowchart, flowchart.nodes, flowchart.connections);
+        flowchart.nodes.forEach(node => editor.normalizeNode(node));
+        flowchart.connections.forEach(connection => editor.normalizeConnection(connection));
+        flowchart.containers.forEach(container => editor.normalizeContainer(container));
+        flowchart.questions.forEach(question => editor.normalizeQuestion(question));
+
+        if (flowchart.nodes.some(node => !FlowchartLayout.hasPosition(node))) {
+            const positions = new FlowchartLayout().layoutUnpositioned(flowchart.nodes, flowchart.connections);
+            flowchart.nodes.forEach(node => Object.assign(node, positions[node.id]));
+        }
+
+        return flowchart;
+    }
+
+    stop() {
+        this.active = false;
+        this.changes = [];
+        this.questions = [];
+        // Previewed elements took IDs that were never used
+        this.editor.updateIdCounters();
+        this.editor.canvas.clearMergePreview();
+        this.renderPanel();
+    }
+
+    render() {
+        const flowchartId = this.editor.getCurrentFlowchart().id;
+        const changes = this.changes.filter(change => change.flowchartId === flowchartId && change.accepted);
+        const ids = (collection, kind) => changes
+            .filter(change => change.collection === collection && change.kind === kind)
+            .map(change => change.elementId);
+
+        if (this.active) {
+            this.editor.canvas.showMergePreview({
+                addedNodes: changes.filter(c => c.collection === 'nodes' && c.kind === 'added').map(c => c.element),
+                addedConnections: changes.filter(c => c.collection === 'connections' && c.kind === 'added').map(c => c.element),
+                modifiedNodeIds: ids('nodes', 'modified'),
+                removedNodeIds: ids('nodes', 'removed'),
+                modifiedConnectionIds: ids('connections', 'modified'),
+                removedConnectionIds: ids('connections', 'removed')
+            });
+        }
+        this.renderPanel();
+    }
+
+    renderPanel() {
+        const panel = document.getElementById('merge-panel');
+        if (!panel) return;
+
+        panel.style.display = this.active ? 'block' : 'none';
+        if (!this.active) return;
+
+        const acceptedCount = this.changes.filter(change => change.accepted).length;
+        document.getElementById('merge-summary').textContent =
+            `${this.changes.length} change${this.changes.length === 1 ? '' : 's'} to review (${acceptedCount} accepted)`;
+
+        const list = document.getElementById('merge-changes');
+        list.innerHTML = '';
+
+        const showFlowchartTitles = new Set(this.changes.map(change => change.flowchartId)).size > 1;
+        let lastFlowchartId = null;
+
+        this.changes.forEach(change => {
+            if (showFlowchartTitles && change.flowchartId !== lastFlowchartId && change.collection !== 'flowcharts') {
+                const heading = document.createElement('li');
+                heading.className = 'merge-flowchart-title';
+                heading.textContent = this.editor.findFlowchartById(change.flowchartId).title;
+                list.appendChild(heading);
+            }
+            lastFlowchartId = change.flowchartId;
+            list.appendChild(this.createChangeItem(change));
+        });
+    }
+
+    createChangeItem(change) {
+        const item = document.createElement('li');
+        item.className = `merge-change ${change.kind}${change.accepted ? '' : ' rejected'}`;
+
+        const fields = change.fields.map(field =>
+            `<div class="merge-field">${sanitizeHTML(field.label)}: <del>${sanitizeHTML(this.formatValue(field.before))}</del> → <ins>${sanitizeHTML(this.formatValue(field.after))}</ins></div>`
+        ).join('');
+
+        item.innerHTML = `
+            <div class="merge-change-header">
+                <span class="merge-kind">${change.kind}</span>
+                <button type="button" class="merge-change-title" title="Show on canvas">${sanitizeHTML(this.describe(change))}</button>
+            </div>
+            ${fields}
+            <label class="toolbar-checkbox">
+                <input type="checkbox" ${change.accepted ? 'checked' : ''}>
+                Accept
+            </label>
+        `;
+
+        item.querySelector('input').addEventListener('change', (event) => {
+            this.setDecision(change.key, event.target.checked);
+        });
+        item.querySelector('.merge-change-title').addEventListener('click', () => this.focusChange(change));
+
+        return item;
+    }
+
+    describe(change) {
+        const questionBank = this.editor.questionBank;
+
+        if (change.collection === 'flowcharts') {
+            return `flowchart "${change.element.title || change.elementId}" (${change.element.nodes.length} nodes)`;
+        }
+
+        const flowchart = this.editor.findFlowchartById(change.flowchartId);
+        const element = change.element || flowchart[change.collection].find(e => e.id === change.elementId);
+        if (change.collection === 'nodes') {
+            return `node ${questionBank.describeNode(element)}`;
+        }
+
+        // Added connections may end at nodes that are only being added
+        const nodes = [
+            ...flowchart.nodes,
+            ...this.changes.filter(c => c.flowchartId === change.flowchartId && c.collection === 'nodes' && c.kind === 'added').map(c => c.element)
+        ];
+        return `connection ${questionBank.describeConnection(element, { nodes })}`;
+    }
+
+    formatValue(value) {
+        return value === '' ? '(empty)' : String(value);
+    }
+
+    focusChange(change) {
+        const editor = this.editor;
+        if (change.collection === 'flowcharts') return;
+
+        if (change.flowchartId !== editor.getCurrentFlowchart().id) {
+            editor.switchFlowchart(change.flowchartId);
+        }
+
+        const element = change.element || editor.getCurrentFlowchart()[change.collection].find(e => e.id === change.elementId);
+        if (change.collection === 'nodes') {
+            editor.canvas.centerOnNode(element);
+        } else if (change.kind !== 'added') {
+            editor.focusIssue({ elementType: 'connection', elementId: change.elementId });
+        }
+    }
+
+    snapshot(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
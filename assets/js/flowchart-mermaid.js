@@ -0,0 +1,462 @@
+/**
+ * Flowchart Collaborator - Mermaid Import/Export
+ * Converts between Mermaid `flowchart` text and the collaborator's node/connection model
+ */
+
+class FlowchartMermaid {
+    /**
+     * Check whether pasted text looks like a Mermaid flowchart rather than JSON
+     * @param {string} text - Pasted text
+     * @returns {boolean} True if the text has a flowchart/graph header or a mermaid fence
+     */
+    static isMermaid(text) {
+        return /^\s*(```\s*mermaid\b|(flowchart|graph)\b)/im.test(text) && !/^\s*[{[]/.test(text);
+    }
+
+    /**
+     * Parse Mermaid flowchart text
+     * @param {string} text - Mermaid source, optionally inside a ```mermaid fence
+     * @returns {Object} { direction, nodes, connections }
+     * @throws {Error} With a line number when a statement cannot be read
+     */
+    static parse(text) {
+        const parser = new FlowchartMermaid();
+        return parser.parse(text);
+    }
+
+    /**
+     * Serialize a flowchart to Mermaid text
+     * @param {Object} flowchart - Flowchart with nodes and connections
+     * @param {string} direction - Mermaid direction (TD or LR)
+     * @returns {string} Mermaid source
+     */
+    static serialize(flowchart, direction = 'TD') {
+        const parser = new FlowchartMermaid();
+        return parser.serialize(flowchart, direction);
+    }
+
+    constructor() {
+        // Longest openers first so `([` wins over `(`
+        this.shapes = [
+            { open: '(((', close: ')))', shape: 'circle' },
+            { open: '([', close: '])', shape: 'stadium' },
+            { open: '((', close: '))', shape: 'circle' },
+            { open: '[[', close: ']]', shape: 'subroutine' },
+            { open: '[(', close: ')]', shape: 'database' },
+            { open: '[/', close: ['/]', '\\]'], shape: 'parallelogram' },
+            { open: '[\\', close: ['\\]', '/]'], shape: 'parallelogram', shapeByClose: { '/]': 'trapezoid-alt' } },
+            { open: '{{', close: '}}', shape: 'hexagon' },
+            { open: '(', close: ')', shape: 'rounded' },
+            { open: '[', close: ']', shape: 'rect' },
+            { open: '{', close: '}', shape: 'rhombus' },
+            { open: '>', close: ']', shape: 'flag' }
+        ];
+
+        // Names accepted by the `id@{ shape: name }` syntax, mapped onto the shapes above where one matches
+        this.namedShapes = {
+            rect: 'rect', rectangle: 'rect', process: 'rect',
+            rounded: 'rounded', event: 'rounded',
+            stadium: 'stadium', pill: 'stadium', terminal: 'stadium',
+            diam: 'rhombus', diamond: 'rhombus', decision: 'rhombus',
+            circle: 'circle', circ: 'circle',
+            subproc: 'subroutine', subprocess: 'subroutine', 'fr-rect': 'subroutine',
+            cyl: 'database', cylinder: 'database', database: 'database', db: 'database',
+            'lean-r': 'parallelogram', 'lean-l': 'parallelogram', 'in-out': 'parallelogram', 'out-in': 'parallelogram',
+            'trap-t': 'trapezoid-alt', manual: 'trapezoid-alt',
+            doc: 'document', document: 'document',
+            'sl-rect': 'sloped-rect', 'manual-input': 'sloped-rect',
+            delay: 'delay', 'half-rounded-rectangle': 'delay',
+            comment: 'brace', brace: 'brace', 'brace-l': 'brace', 'brace-r': 'brace', braces: 'brace'
+        };
+
+        this.typeByShape = {
+            stadium: 'terminal',
+            rhombus: 'decision',
+            circle: 'connector',
+            subroutine: 'subprocess',
+            database: 'database',
+            parallelogram: 'data',
+            'trapezoid-alt': 'manual-operation',
+            document: 'document',
+            'sloped-rect': 'manual-input',
+            delay: 'delay',
+            brace: 'annotation'
+        };
+
+        // Types with no bracket syntax, written as `id@{ shape: name }`
+        this.shapeNameByType = {
+            document: 'doc',
+            'manual-input': 'sl-rect',
+            delay: 'delay',
+            annotation: 'comment'
+        };
+
+        this.linkPatterns = [
+            // A -- label --> B, A -. label .-> B, A == label ==> B
+            /^\s*(--|==|-\.)(?![->.=])\s*("[^"]*"|[^-=.>|][^>]*?)\s*(-{2,}[>ox]|-{3,}|={2,}[>ox]|={3,}|\.-+[>ox]?)\s*/,
+            // A --> B, A -->|label| B, A -.-> B, A ==> B, A --- B
+            /^\s*(<?)(-{2,}[>ox]|-{3,}|={2,}[>ox]|={3,}|-\.+-[>ox]?|~~~)\s*(?:\|\s*("[^"]*"|[^|]*)\s*\|)?\s*/
+        ];
+    }
+
+    parse(text) {
+        const source = this.extractSource(text);
+        const result = { direction: 'TB', nodes: [], connections: [] };
+        const nodes = new Map();
+        const classes = new Map();
+        const dashedLinks = new Set();
+
+        this.splitStatements(source).forEach(({ statement, line }) => {
+            const header = statement.match(/^(flowchart|graph)\b\s*(\w+)?/i);
+            if (header) {
+                result.direction = ['LR', 'RL'].includes((header[2] || '').toUpperCase()) ? 'LR' : 'TB';
+                return;
+            }
+
+            const classStatement = statement.match(/^class\s+([\w,\s-]+?)\s+(\w+)\s*$/);
+            if (classStatement) {
+                classStatement[1].split(',').forEach(id => classes.set(id.trim(), classStatement[2]));
+                return;
+            }
+
+            const linkStyle = statement.match(/^linkStyle\s+([\d,\s]+)\s+(.*)$/);
+            if (linkStyle) {
+                if (/stroke-dasharray/.test(linkStyle[2])) {
+                    linkStyle[1].split(',').forEach(index => dashedLinks.add(parseInt(index)));
+                }
+                return;
+            }
+
+            if (/^(%%|subgraph\b|end$|direction\b|style\b|classDef\b|click\b|linkStyle\b)/.test(statement)) {
+                return;
+            }
+
+            this.parseChain(statement, line, nodes, classes, result.connections);
+        });
+
+        result.connections.forEach((connection, index) => {
+            if (dashedLinks.has(index) && connection.style === 'dotted') {
+                connection.style = 'dashed';
+            }
+        });
+
+        result.nodes = Array.from(nodes.values()).map(node => ({
+            id: node.id,
+            type: this.resolveType(node, classes.get(node.id), result.connections),
+            text: node.text
+        }));
+
+        if (result.nodes.length === 0) {
+            throw new Error('No flowchart nodes found in the Mermaid text');
+        }
+
+        return result;
+    }
+
+    extractSource(text) {
+        const fence = text.match(/```\s*mermaid\s*\n([\s\S]*?)```/i);
+        return fence ? fence[1] : text;
+    }
+
+    /**
+     * Split on newlines and semicolons that are outside quoted text
+     */
+    splitStatements(source) {
+        const statements = [];
+
+        source.split(/\r?\n/).forEach((rawLine, index) => {
+            let current = '';
+            let inQuotes = false;
+
+            for (const char of rawLine) {
+                if (char === '"') inQuotes = !inQuotes;
+                if (char === ';' && !inQuotes) {
+                    statements.push({ statement: current.trim(), line: index + 1 });
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            statements.push({ statement: current.trim(), line: index + 1 });
+        });
+
+        return statements.filter(entry => entry.statement && !entry.statement.startsWith('%%'));
+    }
+
+    parseChain(statement, line, nodes, classes, connections) {
+        const state = { text: statement, index: 0 };
+        let previous = this.parseNodeGroup(state, line, nodes, classes);
+
+        while (state.index < state.text.length) {
+            const link = this.parseLink(state);
+            if (!link) {
+                throw new Error(`Line ${line}: could not read "${state.text.slice(state.index).trim()}"`);
+            }
+
+            const next = this.parseNodeGroup(state, line, nodes, classes);
+            if (!link.invisible) {
+                previous.forEach(from => {
+                    next.forEach(to => {
+                        connections.push({ from, to, label: link.label, style: link.style });
+                    });
+                });
+            }
+            previous = next;
+        }
+    }
+
+    parseNodeGroup(state, line, nodes, classes) {
+        const ids = [this.parseNode(state, line, nodes, classes)];
+
+        while (/^\s*&/.test(state.text.slice(state.index))) {
+            state.index += state.text.slice(state.index).indexOf('&') + 1;
+            ids.push(this.parseNode(state, line, nodes, classes));
+        }
+
+        return ids;
+    }
+
+    parseNode(state, line, nodes, classes) {
+        const rest = state.text.slice(state.index);
+        const idMatch = rest.match(/^\s*([\wÀ-￿]+(?:-[\wÀ-￿]+)*)/);
+        if (!idMatch) {
+            throw new Error(`Line ${line}: expected a node ID near "${rest.trim()}"`);
+        }
+
+        const id = idMatch[1];
+        state.index += idMatch[0].length;
+
+        const shape = state.text.startsWith('@{', state.index)
+            ? this.parseNamedShape(state, line)
+            : this.parseShape(state, line);
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, shape: null, text: id });
+        }
+        if (shape) {
+            nodes.get(id).shape = shape.shape;
+            if (shape.text !== undefined) {
+                nodes.get(id).text = shape.text;
+            }
+        }
+
+        const classSuffix = state.text.slice(state.index).match(/^:::(\w+)/);
+        if (classSuffix) {
+            classes.set(id, classSuffix[1]);
+            state.index += classSuffix[0].length;
+        }
+
+        return id;
+    }
+
+    parseShape(state, line) {
+        const rest = state.text.slice(state.index);
+        const shape = this.shapes.find(candidate => rest.startsWith(candidate.open));
+        if (!shape) return null;
+
+        let body = rest.slice(shape.open.length);
+        let consumed = shape.open.length;
+        let text;
+
+        const quoted = body.match(/^\s*"([^"]*)"\s*/);
+        if (quoted) {
+            text = quoted[1];
+            body = body.slice(quoted[0].length);
+            consumed += quoted[0].length;
+        }
+
+        const closers = Array.isArray(shape.close) ? shape.close : [shape.close];
+        const closeAt = quoted
+            ? (closers.find(close => body.startsWith(close)) ? 0 : -1)
+            : Math.min(...closers.map(close => body.indexOf(close)).filter(position => position >= 0));
+        const closer = closers.find(close => body.startsWith(close, closeAt));
+
+        if (closeAt === -1 || !Number.isFinite(closeAt) || !closer) {
+            throw new Error(`Line ${line}: missing "${closers[0]}" to close the node shape`);
+        }
+
+        if (!quoted) {
+            text = body.slice(0, closeAt);
+        }
+        state.index += consumed + closeAt + closer.length;
+
+        const shapeName = (shape.shapeByClose && shape.shapeByClose[closer]) || shape.shape;
+        return { shape: shapeName, text: this.decodeText(text) };
+    }
+
+    /**
+     * Read `@{ shape: doc, label: "Text" }`. Shapes without a match here are read as a process.
+     */
+    parseNamedShape(state, line) {
+        const body = state.text.slice(state.index + 2);
+        let closeAt = -1;
+        let inQuotes = false;
+        for (let index = 0; index < body.length && closeAt === -1; index++) {
+            if (body[index] === '"') inQuotes = !inQuotes;
+            if (body[index] === '}' && !inQuotes) closeAt = index;
+        }
+        if (closeAt === -1) {
+            throw new Error(`Line ${line}: missing "}" to close the node shape`);
+        }
+
+        const properties = {};
+        const pattern = /([\w-]+)\s*:\s*("([^"]*)"|[^,]*)/g;
+        let match;
+        while ((match = pattern.exec(body.slice(0, closeAt))) !== null) {
+            properties[match[1]] = match[3] !== undefined ? match[3] : match[2].trim();
+        }
+        state.index += 2 + closeAt + 1;
+
+        return {
+            shape: this.namedShapes[String(properties.shape || '').toLowerCase()] || 'rect',
+            text: properties.label !== undefined ? this.decodeText(properties.label) : undefined
+        };
+    }
+
+    parseLink(state) {
+        const rest = state.text.slice(state.index);
+
+        for (const pattern of this.linkPatterns) {
+            const match = rest.match(pattern);
+            if (!match) continue;
+
+            const arrow = pattern === this.linkPatterns[0] ? match[1] + match[3] : match[2];
+            const rawLabel = pattern === this.linkPatterns[0] ? match[2] : match[3];
+            state.index += match[0].length;
+
+            return {
+                label: rawLabel ? this.decodeText(rawLabel.replace(/^"|"$/g, '')) : '',
+                style: arrow.includes('=') ? 'thick' : arrow.includes('.') ? 'dotted' : 'solid',
+                invisible: arrow === '~~~'
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Stadium shapes are start or end nodes: use an explicit class, then graph position, then wording
+     */
+    resolveType(node, className, connections) {
+        const type = this.typeByShape[node.shape] || 'process';
+        if (type !== 'terminal') return type;
+
+        if (className === 'startNode' || className === 'endNode') {
+            return className === 'startNode' ? 'start' : 'end';
+        }
+
+        const hasIncoming = connections.some(connection => connection.to === node.id);
+        const hasOutgoing = connections.some(connection => connection.from === node.id);
+        if (!hasIncoming && hasOutgoing) return 'start';
+        if (hasIncoming && !hasOutgoing) return 'end';
+        return /\b(end|finish|finished|done|stop|complete)\b/i.test(node.text) ? 'end' : 'start';
+    }
+
+    decodeText(text) {
+        return text
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/#quot;/g, '"')
+            .replace(/#35;/g, '#')
+            .trim();
+    }
+
+    encodeText(text) {
+        return String(text || '')
+            .replace(/#/g, '#35;')
+            .replace(/"/g, '#quot;')
+            .replace(/\n/g, '<br/>');
+    }
+
+    serialize(flowchart, direction) {
+        const lines = [`flowchart ${direction === 'LR' ? 'LR' : 'TD'}`];
+        const mermaidIds = this.getMermaidIds(flowchart.nodes);
+        const classMembers = { startNode: [], endNode: [] };
+
+        flowchart.nodes.forEach(node => {
+            const id = mermaidIds.get(node.id);
+            const text = this.encodeText(node.text) || ' ';
+
+            switch (node.type) {
+                case 'start':
+                case 'end':
+                    lines.push(`    ${id}(["${text}"])`);
+                    classMembers[`${node.type}Node`].push(id);
+                    break;
+                case 'decision':
+                    lines.push(`    ${id}{"${text}"}`);
+                    break;
+                case 'connector':
+                    lines.push(`    ${id}(("${text}"))`);
+                    break;
+                case 'data':
+                    lines.push(`    ${id}[/"${text}"/]`);
+                    break;
+                case 'manual-operation':
+                    lines.push(`    ${id}[\\"${text}"/]`);
+                    break;
+                case 'subprocess':
+                    lines.push(`    ${id}[["${text}"]]`);
+                    break;
+                case 'database':
+                    lines.push(`    ${id}[("${text}")]`);
+                    break;
+                case 'document':
+                case 'manual-input':
+                case 'delay':
+                case 'annotation':
+                    lines.push(`    ${id}@{ shape: ${this.shapeNameByType[node.type]}, label: "${text}" }`);
+                    break;
+                default:
+                    lines.push(`    ${id}["${text}"]`);
+                    break;
+            }
+        });
+
+        const dashedIndexes = [];
+        flowchart.connections
+            .filter(connection => mermaidIds.has(connection.from) && mermaidIds.has(connection.to))
+            .forEach((connection, index) => {
+                const arrow = connection.style === 'thick' ? '==>'
+                    : connection.style === 'dotted' || connection.style === 'dashed' ? '-.->'
+                    : '-->';
+                const label = connection.label ? `|"${this.encodeText(connection.label)}"|` : '';
+                lines.push(`    ${mermaidIds.get(connection.from)} ${arrow}${label} ${mermaidIds.get(connection.to)}`);
+
+                if (connection.style === 'dashed') {
+                    dashedIndexes.push(index);
+                }
+            });
+
+        if (dashedIndexes.length) {
+            lines.push(`    linkStyle ${dashedIndexes.join(',')} stroke-dasharray: 8 4`);
+        }
+
+        lines.push('    classDef startNode fill:#e8f5e8,stroke:#1976d2');
+        lines.push('    classDef endNode fill:#fce4ec,stroke:#1976d2');
+        Object.entries(classMembers).forEach(([className, ids]) => {
+            if (ids.length) {
+                lines.push(`    class ${ids.join(',')} ${className}`);
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Mermaid IDs cannot contain hyphens or clash with the `end` keyword
+     */
+    getMermaidIds(nodes) {
+        const ids = new Map();
+        const used = new Set();
+
+        nodes.forEach(node => {
+            let id = String(node.id).replace(/[^\w]/g, '_');
+            if (/^end$/i.test(id)) id += '_';
+            while (used.has(id)) id += '_';
+
+            used.add(id);
+            ids.set(node.id, id);
+        });
+
+        return ids;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Flowchart Collaborator - Minimap
+ * Overview of the whole flowchart with the visible area outlined; click or drag it to pan
+ */
+
+class FlowchartMinimap {
+    constructor(editor, svgId) {
+        this.editor = editor;
+        this.svg = d3.select(`#${svgId}`);
+        this.content = this.svg.append('g').attr('class', 'minimap-content');
+        this.viewport = this.svg.append('rect').attr('class', 'minimap-viewport');
+        this.padding = 40;
+        this.visible = true;
+        this.contentBounds = null;
+        this.matches = { ids: [], currentId: null };
+        this.grabOffset = null;
+
+        // Runs alongside the canvas's own zoom listener
+        editor.canvas.zoom.on('zoom.minimap', () => this.updateViewport());
+        window.addEventListener('resize', () => this.updateViewport());
+
+        // Drag positions are taken on the minimap itself, so they are in diagram coordinates
+        this.svg.call(d3.drag()
+            .container(function() { return this; })
+            .on('start', (event) => this.startPan(event))
+            .on('drag', (event) => this.pan(event))
+            .on('end', () => this.endPan()));
+    }
+
+    /**
+     * Redraw from the current flowchart. Hidden while the flowchart is empty.
+     */
+    update() {
+        const flowchart = this.editor.getCurrentFlowchart();
+        this.content.selectAll('*').remove();
+        this.svg.style('display', this.visible && flowchart.nodes.length ? null : 'none');
+
+        if (flowchart.nodes.length === 0) {
+            this.contentBounds = null;
+            return;
+        }
+
+        this.contentBounds = this.editor.canvas.calculateBounds([...flowchart.containers, ...flowchart.nodes]);
+
+        flowchart.containers.forEach(container => {
+            this.content.append('rect')
+                .attr('class', 'minimap-container')
+                .attr('x', container.x)
+                .attr('y', container.y)
+                .attr('width', container.width)
+                .attr('height', container.height);
+        });
+
+        flowchart.nodes.forEach(node => {
+            this.content.append('rect')
+                .attr('class', 'minimap-node')
+                .attr('data-node-id', node.id)
+                .attr('x', node.x)
+                .attr('y', node.y)
+                .attr('width', node.width)
+                .attr('height', node.height);
+        });
+
+        this.showMatches(this.matches.ids, this.matches.currentId);
+        this.updateViewport();
+    }
+
+    updateViewport() {
+        if (!this.contentBounds) return;
+
+        const view = this.editor.canvas.getViewBounds();
+
+        // The viewBox stays put while panning from the minimap, or it would slide under the pointer
+        if (!this.grabOffset) {
+            // Taking in the visible area keeps its outline on the minimap however far the canvas is panned
+            const minX = Math.min(this.contentBounds.minX, view.minX) - this.padding;
+            const minY = Math.min(this.contentBounds.minY, view.minY) - this.padding;
+            const maxX = Math.max(this.contentBounds.minX + this.contentBounds.width, view.minX + view.width) + this.padding;
+            const maxY = Math.max(this.contentBounds.minY + this.contentBounds.height, view.minY + view.height) + this.padding;
+            this.svg.attr('viewBox', [minX, minY, maxX - minX, maxY - minY].join(' '));
+        }
+
+        this.viewport
+            .attr('x', view.minX)
+            .attr('y', view.minY)
+            .attr('width', view.width)
+            .attr('height', view.height);
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.update();
+    }
+
+    /**
+     * Mark the nodes a search found
+     * @param {Array} ids - Matching node IDs
+     * @param {string|null} currentId - The match being shown on the canvas
+     */
+    showMatches(ids, currentId) {
+        this.matches = { ids, currentId };
+        const idSet = new Set(ids);
+        this.content.selectAll('.minimap-node')
+            .classed('minimap-match', function() { return idSet.has(this.getAttribute('data-node-id')); })
+            .classed('minimap-current', function() { return this.getAttribute('data-node-id') === currentId; });
+    }
+
+    // Dragging the outline moves it from where it was grabbed; pressing anywhere else jumps there first
+    startPan(event) {
+        const view = this.editor.canvas.getViewBounds();
+        const inside = event.x >= view.minX && event.x <= view.minX + view.width &&
+            event.y >= view.minY && event.y <= view.minY + view.height;
+
+        this.grabOffset = inside
+            ? { x: view.minX + view.width / 2 - event.x, y: view.minY + view.height / 2 - event.y }
+            : { x: 0, y: 0 };
+        this.pan(event);
+    }
+
+    pan(event) {
+        if (!this.grabOffset) return;
+
+        const canvas = this.editor.canvas;
+        canvas.svg.call(canvas.zoom.translateTo, event.x + this.grabOffset.x, event.y + this.grabOffset.y);
+    }
+
+    endPan() {
+        this.grabOffset = null;
+        this.updateViewport();
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Flowchart Collaborator - Node Styles and Text Layout
+ * Wraps node text to the shape, works out how tall a node must be to fit it, and turns style settings into SVG attributes
+ */
+
+class FlowchartNodeStyle {
+    constructor() {
+        this.fontFamily = 'sans-serif';
+        this.padding = 8;
+        this.minWidth = 40;
+        this.minHeight = 30;
+        this.context = null;
+    }
+
+    /**
+     * Default look for a node, before any per-node or palette overrides
+     * @param {string} backgroundColor - Fill colour for the node type
+     * @returns {Object} Style object as stored on nodes
+     */
+    static getDefaultStyle(backgroundColor) {
+        return {
+            backgroundColor: backgroundColor,
+            borderColor: '#1976d2',
+            borderWidth: 2,
+            borderStyle: 'solid',
+            textColor: '#000',
+            fontSize: 12,
+            fontWeight: 'normal'
+        };
+    }
+
+    static getDashArray(borderStyle) {
+        switch (borderStyle) {
+            case 'dashed': return '8,4';
+            case 'dotted': return '2,3';
+            default: return null;
+        }
+    }
+
+    getFontSize(style) {
+        return Number(style && style.fontSize) || 12;
+    }
+
+    getLineHeight(style) {
+        return Math.round(this.getFontSize(style) * 1.25);
+    }
+
+    /**
+     * Width of a string in pixels, using canvas text metrics where the browser provides them
+     */
+    measure(text, style) {
+        const fontSize = this.getFontSize(style);
+        const fontWeight = (style && style.fontWeight) || 'normal';
+
+        if (this.context === null) {
+            const canvas = document.createElement('canvas');
+            this.context = (canvas.getContext && canvas.getContext('2d')) || false;
+        }
+
+        if (this.context) {
+            this.context.font = `${fontWeight} ${fontSize}px ${this.fontFamily}`;
+            return this.context.measureText(text).width;
+        }
+
+        // Rough average glyph width when there is no canvas to measure with
+        return text.length * fontSize * (fontWeight === 'bold' ? 0.62 : 0.56);
+    }
+
+    /**
+     * Space inside a shape that text can use. Ovals and diamonds lose their corners, slanted and
+     * rounded sides lose some width, and the document wave and database rims lose some height.
+     * @param {Object} node - Node data
+     * @returns {Object} { width, heightRatio } - usable width, and the share of the height usable for text
+     */
+    getTextArea(node) {
+        const ratios = {
+            start: { width: 0.75, height: 0.7 },
+            end: { width: 0.75, height: 0.7 },
+            decision: { width: 0.55, height: 0.5 },
+            connector: { width: 0.8, height: 0.8 },
+            data: { width: 0.75, height: 1 },
+            'manual-operation': { width: 0.75, height: 1 },
+            'manual-input': { width: 1, height: 0.7 },
+            subprocess: { width: 0.8, height: 1 },
+            delay: { width: 0.8, height: 1 },
+            document: { width: 1, height: 0.85 },
+            database: { width: 1, height: 0.7 }
+        };
+        const ratio = ratios[node.type] || { width: 1, height: 1 };
+
+        return {
+            width: Math.max(10, node.width * ratio.width - this.padding * 2),
+            heightRatio: ratio.height
+        };
+    }
+
+    /**
+     * Break node text into lines that fit the shape. Explicit line breaks are kept.
+     * @param {Object} node - Node data
+     * @returns {Array} Lines of text
+     */
+    wrap(node) {
+        const maxWidth = this.getTextArea(node).width;
+        const lines = [];
+
+        String(node.text || '').split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.measure(candidate, node.style) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Smallest height that shows every wrapped line of the node's text
+     * @param {Object} node - Node data
+     * @returns {number} Height in pixels
+     */
+    getFitHeight(node) {
+        const lines = this.wrap(node).length;
+        const textHeight = lines * this.getLineHeight(node.style) + this.padding * 2;
+        return Math.max(this.minHeight, Math.ceil(textHeight / this.getTextArea(node).heightRatio));
+    }
+
+    /**
+     * Size that fits the node's text, widening narrow shapes rather than letting them become tall columns
+     * @param {Object} node - Node data
+     * @returns {Object} { width, height }
+     */
+    getFitSize(node) {
+        const maxWidth = Math.max(node.width, 320);
+        let width = node.width;
+        let height = this.getFitHeight(node);
+
+        while (height > width && width < maxWidth) {
+            width = Math.min(maxWidth, width + 20);
+            height = this.getFitHeight({ ...node, width });
+        }
+
+        return { width, height };
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * Flowchart Collaborator - Path Totals
+ * Duration and cost summed along every start-to-end path, and the critical (longest) path
+ */
+
+class FlowchartPaths {
+    constructor(editor) {
+        this.editor = editor;
+        this.active = false;
+        this.measures = ['duration', 'cost']; // Read from each node's custom properties
+        this.maxPaths = 500;
+        this.maxSteps = 100000; // Nodes visited before a heavily branching flowchart is cut short
+        this.flowchartId = null;
+        this.selectedKey = null; // Path shown on the canvas; the critical path unless another is picked
+        this.summary = null;
+    }
+
+    // A node's estimate for a measure, or 0 if it has none or it isn't a number
+    getEstimate(node, measure) {
+        const value = parseFloat(this.editor.fields.getValue(node, measure));
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    hasEstimates(flowchart) {
+        return flowchart.nodes.some(node => this.measures.some(measure => this.editor.fields.getValue(node, measure) !== ''));
+    }
+
+    /**
+     * The flowchart as a graph to walk, without annotations
+     * @param {Object} flowchart - Flowchart to walk
+     * @returns {Object} { nodeById, outgoing, startNodes } - outgoing maps a node id to its connections
+     */
+    getGraph(flowchart) {
+        // Annotations hang off the flow rather than being steps in it
+        const nodeById = new Map(flowchart.nodes.filter(node => node.type !== 'annotation').map(node => [node.id, node]));
+        const outgoing = new Map();
+        const targets = new Set();
+        flowchart.connections.forEach(connection => {
+            if (!nodeById.has(connection.from) || !nodeById.has(connection.to)) return;
+            if (!outgoing.has(connection.from)) outgoing.set(connection.from, []);
+            outgoing.get(connection.from).push(connection);
+            targets.add(connection.to);
+        });
+
+        const nodes = Array.from(nodeById.values());
+        const startNodes = nodes.some(node => node.type === 'start')
+            ? nodes.filter(node => node.type === 'start')
+            : nodes.filter(node => !targets.has(node.id));
+
+        return { nodeById, outgoing, startNodes };
+    }
+
+    /**
+     * Every path from a start node to a node with no way forward. A path never visits a node twice,
+     * so loops count as not taken. Flowcharts without start nodes are walked from nodes nothing leads to.
+     * @param {Object} flowchart - Flowchart to walk
+     * @returns {Object} { paths, truncated } - paths are { key, nodeIds, connectionIds, totals } with the
+     *     longest duration first; truncated is true if the limits stopped the walk early
+     */
+    findPaths(flowchart) {
+        const { nodeById, outgoing, startNodes } = this.getGraph(flowchart);
+        const paths = [];
+        let steps = 0;
+        let truncated = false;
+
+        const walk = (nodeIds, connectionIds) => {
+            if (paths.length >= this.maxPaths || ++steps > this.maxSteps) {
+                truncated = true;
+                return;
+            }
+
+            const node = nodeById.get(nodeIds[nodeIds.length - 1]);
+            const next = node.type === 'end' ? [] : (outgoing.get(node.id) || []);
+            if (next.length === 0) {
+                paths.push(this.createPath(nodeIds, connectionIds, nodeById));
+                return;
+            }
+
+            next.filter(connection => !nodeIds.includes(connection.to)).forEach(connection => {
+                walk([...nodeIds, connection.to], [...connectionIds, connection.id]);
+            });
+        };
+        startNodes.forEach(node => walk([node.id], []));
+
+        paths.sort((a, b) => this.compareTotals(b.totals, a.totals));
+        return { paths, truncated };
+    }
+
+    /**
+     * The longest path and the range of each total, worked out node by node rather than by listing paths,
+     * so they hold however much the flowchart branches. A connection back to a node the walk is still
+     * inside closes a loop and counts as not taken.
+     * @param {Object} flowchart - Flowchart to walk
+     * @returns {Object} { critical, ranges } - critical is the longest path or null, ranges has
+     *     { min, max } per measure, or null when no start node leads to an end
+     */
+    findExtremes(flowchart) {
+        const { nodeById, outgoing, startNodes } = this.getGraph(flowchart);
+        const best = new Map(); // Node id -> { longest, next, min, max } for the way on to an end, or null
+        const inside = new Set();
+        const add = (estimates, totals) => {
+            const sum = {};
+            this.measures.forEach(measure => { sum[measure] = estimates[measure] + totals[measure]; });
+            return sum;
+        };
+
+        const visit = id => {
+            if (best.has(id)) return;
+            inside.add(id);
+
+            const node = nodeById.get(id);
+            const estimates = {};
+            this.measures.forEach(measure => { estimates[measure] = this.getEstimate(node, measure); });
+            const next = node.type === 'end' ? [] : (outgoing.get(id) || []);
+
+            let result = next.length === 0
+                ? { longest: estimates, next: null, min: estimates, max: estimates }
+                : null;
+            next.filter(connection => !inside.has(connection.to)).forEach(connection => {
+                visit(connection.to);
+                const after = best.get(connection.to);
+                if (!after) return;
+
+                const longest = add(estimates, after.longest);
+                if (!result) {
+                    result = { longest, next: connection, min: add(estimates, after.min), max: add(estimates, after.max) };
+                    return;
+                }
+                if (this.compareTotals(longest, result.longest) > 0) {
+                    result.longest = longest;
+                    result.next = connection;
+                }
+                this.measures.forEach(measure => {
+                    result.min[measure] = Math.min(result.min[measure], estimates[measure] + after.min[measure]);
+                    result.max[measure] = Math.max(result.max[measure], estimates[measure] + after.max[measure]);
+                });
+            });
+
+            inside.delete(id);
+            best.set(id, result);
+        };
+        startNodes.forEach(node => visit(node.id));
+
+        const reached = startNodes.filter(node => best.get(node.id));
+        const ranges = {};
+        this.measures.forEach(measure => {
+            ranges[measure] = reached.length ? {
+                min: Math.min(...reached.map(node => best.get(node.id).min[measure])),
+                max: Math.max(...reached.map(node => best.get(node.id).max[measure]))
+            } : null;
+        });
+        if (reached.length === 0) return { critical: null, ranges };
+
+        const first = reached.reduce((longest, node) =>
+            this.compareTotals(best.get(node.id).longest, best.get(longest.id).longest) > 0 ? node : longest);
+        const nodeIds = [first.id];
+        const connectionIds = [];
+        for (let step = best.get(first.id); step.next; step = best.get(step.next.to)) {
+            nodeIds.push(step.next.to);
+            connectionIds.push(step.next.id);
+        }
+        return { critical: this.createPath(nodeIds, connectionIds, nodeById), ranges };
+    }
+
+    // Orders totals by duration, then cost
+    compareTotals(a, b) {
+        return a.duration - b.duration || a.cost - b.cost;
+    }
+
+    createPath(nodeIds, connectionIds, nodeById) {
+        const totals = {};
+        this.measures.forEach(measure => {
+            totals[measure] = nodeIds.reduce((sum, id) => sum + this.getEstimate(nodeById.get(id), measure), 0);
+        });
+        return { key: `${nodeIds[0]}:${connectionIds.join(',')}`, nodeIds, connectionIds, totals };
+    }
+
+    /**
+     * Paths to pick from, with the critical path and the range of each total across every path
+     * @param {Object} flowchart - Flowchart to walk
+     * @returns {Object} { paths, truncated, critical, ranges } - paths is the listed paths with the
+     *     critical path first, critical is the longest path or null, ranges has { min, max } per measure,
+     *     or null when there are no paths
+     */
+    summarize(flowchart) {
+        const { paths, truncated } = this.findPaths(flowchart);
+        const extremes = this.findExtremes(flowchart);
+
+        // The listing can include a path round a loop the other way from the one findExtremes cuts
+        let critical = extremes.critical;
+        if (paths.length && (!critical || this.compareTotals(paths[0].totals, critical.totals) >= 0)) {
+            critical = paths[0];
+        } else if (critical) {
+            paths.unshift(critical);
+        }
+
+        const ranges = {};
+        this.measures.forEach(measure => {
+            const range = extremes.ranges[measure];
+            const totals = paths.map(path => path.totals[measure]).concat(range ? [range.min, range.max] : []);
+            ranges[measure] = totals.length ? { min: Math.min(...totals), max: Math.max(...totals) } : null;
+        });
+        return { paths, truncated, critical, ranges };
+    }
+
+    /**
+     * Work the totals out again after a change, and update the stats bar, the panel and the highlighted path
+     */
+    refresh() {
+        const flowchart = this.editor.getCurrentFlowchart();
+        if (flowchart.id !== this.flowchartId) {
+            this.flowchartId = flowchart.id;
+            this.selectedKey = null;
+        }
+
+        this.summary = this.summarize(flowchart);
+        this.renderStats(flowchart);
+        if (this.active) {
+            this.render();
+        }
+    }
+
+    start() {
+        this.active = true;
+        this.selectedKey = null;
+        this.refresh();
+    }
+
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.editor.canvas.clearPath();
+        this.renderPanel();
+    }
+
+    select(key) {
+        this.selectedKey = key;
+        this.render();
+    }
+
+    getSelectedPath() {
+        const paths = this.summary ? this.summary.paths : [];
+        return paths.find(path => path.key === this.selectedKey) || paths[0] || null;
+    }
+
+    render() {
+        const path = this.getSelectedPath();
+        if (path) {
+            this.editor.canvas.showPath(path);
+        } else {
+            this.editor.canvas.clearPath();
+        }
+        this.renderPanel();
+    }
+
+    renderStats(flowchart) {
+        const show = this.hasEstimates(flowchart) && this.summary.paths.length > 0;
+        const pathCount = this.summary.paths.length;
+        const title = `Across ${pathCount}${this.summary.truncated ? '+' : ''} start-to-end path${pathCount === 1 ? '' : 's'}`;
+
+        this.measures.forEach(measure => {
+            const element = document.getElementById(`path-${measure}`);
+            if (!element) return;
+
+            element.style.display = show ? '' : 'none';
+            element.title = title;
+            const label = measure.charAt(0).toUpperCase() + measure.slice(1);
+            element.textContent = show ? `${label}: ${this.formatRange(this.summary.ranges[measure])}` : '';
+        });
+    }
+
+    formatRange(range) {
+        return range.min === range.max
+            ? this.formatNumber(range.max)
+            : `${this.formatNumber(range.min)}–${this.formatNumber(range.max)}`;
+    }
+
+    formatNumber(value) {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
+    renderPanel() {
+        const panel = document.getElementById('paths-panel');
+        if (!panel) return;
+
+        panel.style.display = this.active ? 'block' : 'none';
+        document.getElementById('paths-btn')?.classList.toggle('active', this.active);
+        if (!this.active) return;
+
+        const { paths, truncated, critical } = this.summary;
+        const selected = this.getSelectedPath();
+        const list = document.getElementById('paths-list');
+        list.innerHTML = '';
+
+        document.getElementById('paths-summary').textContent = paths.length === 0
+            ? 'No start-to-end paths. Add a start node and connect it through to an end.'
+            : `${paths.length}${truncated ? '+' : ''} path${paths.length === 1 ? '' : 's'}, longest first.` +
+                (truncated ? ' The flowchart branches too much to list them all.' : '');
+
+        const nodeById = new Map(this.editor.getCurrentFlowchart().nodes.map(node => [node.id, node]));
+        paths.forEach((path, index) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `path-item${path === selected ? ' selected' : ''}`;
+
+            const heading = document.createElement('span');
+            heading.className = 'path-totals';
+            heading.textContent = `${path === critical ? 'Critical' : `Path ${index + 1}`} · ` +
+                this.measures.map(measure => `${measure} ${this.formatNumber(path.totals[measure])}`).join(' · ');
+
+            const steps = document.createElement('span');
+            steps.className = 'path-steps';
+            steps.textContent = path.nodeIds.map(id => {
+                const node = nodeById.get(id);
+                return (node.text || node.id).replace(/\s+/g, ' ').trim();
+            }).join(' → ');
+
+            button.append(heading, steps);
+            button.addEventListener('click', () => this.select(path.key));
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+    }
+}
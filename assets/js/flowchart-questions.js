@@ -0,0 +1,174 @@
+/**
+ * Flowchart Collaborator - Questions
+ * Question fields, merging answers from an AI response, and the open items sent back for review
+ */
+
+class FlowchartQuestions {
+    constructor() {
+        this.categories = ['general', 'requirements', 'implementation', 'data', 'user experience', 'edge cases'];
+    }
+
+    /**
+     * Fill in question fields an import left out. IDs are assigned by the editor.
+     * @param {Object} question - Question, updated in place
+     * @returns {Object} The same question
+     */
+    normalize(question) {
+        question.text = String(question.text || '');
+        question.category = String(question.category || '').trim() || 'general';
+        question.answer = String(question.answer || '');
+        question.status = question.status === 'resolved' ? 'resolved' : 'open';
+
+        // AI responses sometimes name the element directly instead of using attachedTo
+        if (!question.attachedTo && question.nodeId) {
+            question.attachedTo = { type: 'node', id: question.nodeId };
+        } else if (!question.attachedTo && question.connectionId) {
+            question.attachedTo = { type: 'connection', id: question.connectionId };
+        }
+        delete question.nodeId;
+        delete question.connectionId;
+
+        const target = question.attachedTo;
+        if (!target || !(['node', 'connection'].includes(target.type) && target.id)) {
+            delete question.attachedTo;
+        }
+
+        return question;
+    }
+
+    /**
+     * Categories to offer: the defaults plus any already used in the document
+     * @param {Array} flowcharts - All flowcharts
+     * @returns {Array} Category names
+     */
+    getCategories(flowcharts) {
+        const used = flowcharts.flatMap(flowchart => flowchart.questions.map(question => question.category));
+        return Array.from(new Set([...this.categories, ...used].filter(Boolean)));
+    }
+
+    isAttachedTo(question, type, id) {
+        return Boolean(question.attachedTo && question.attachedTo.type === type && question.attachedTo.id === id);
+    }
+
+    /**
+     * Short description of the element a question is about
+     * @param {Object} question - Question
+     * @param {Object} flowchart - Flowchart the question belongs to
+     * @returns {string} e.g. 'node "Check stock"', or '' for general questions
+     */
+    describeTarget(question, flowchart) {
+        const target = question.attachedTo;
+        if (!target) return '';
+
+        if (target.type === 'node') {
+            const node = flowchart.nodes.find(n => n.id === target.id);
+            return node ? `node ${this.describeNode(node)}` : `deleted node ${target.id}`;
+        }
+
+        const connection = flowchart.connections.find(c => c.id === target.id);
+        if (!connection) return `deleted connection ${target.id}`;
+        return `connection ${this.describeConnection(connection, flowchart)}`;
+    }
+
+    describeNode(node) {
+        const text = (node.text || '').replace(/\s+/g, ' ').trim();
+        return text ? `"${text}"` : node.id;
+    }
+
+    describeConnection(connection, flowchart) {
+        const end = id => {
+            const node = flowchart.nodes.find(n => n.id === id);
+            return node ? this.describeNode(node) : id;
+        };
+        const label = connection.label ? ` [${connection.label}]` : '';
+        return `${end(connection.from)} → ${end(connection.to)}${label}`;
+    }
+
+    /**
+     * Merge questions from an imported AI response into the document.
+     * Known questions (same ID, or same wording) get the new answer added to any existing one;
+     * unknown ones are added to the flowchart they came from.
+     * @param {Array} flowcharts - Document flowcharts, updated in place
+     * @param {Array} incoming - { flowchartId, question } pairs; flowchartId may be null
+     * @param {Object} fallback - Flowchart for new questions that don't say where they belong
+     * @param {Function} createId - Returns a fresh question ID
+     * @returns {Object} { answered, added, resolved } counts
+     */
+    merge(flowcharts, incoming, fallback, createId) {
+        const summary = { answered: 0, added: 0, resolved: 0 };
+
+        incoming.forEach(({ flowchartId, question }) => {
+            if (!question || typeof question !== 'object') return;
+
+            const match = this.findMatch(flowcharts, question);
+            if (match) {
+                const answer = String(question.answer || '').trim();
+                const existing = match.answer.trim();
+                if (answer && !existing) {
+                    match.answer = answer;
+                    summary.answered++;
+                } else if (answer && !existing.includes(answer)) {
+                    match.answer = `${existing}\n\n${answer}`;
+                    summary.answered++;
+                }
+                if (question.status === 'resolved' && match.status !== 'resolved') {
+                    match.status = 'resolved';
+                    summary.resolved++;
+                }
+                return;
+            }
+
+            // An answer to a question this document never had has nothing to attach to
+            if (!String(question.text || '').trim()) return;
+
+            const added = this.normalize(JSON.parse(JSON.stringify(question)));
+            const flowchart = flowcharts.find(f => f.id === flowchartId)
+                || this.findTargetFlowchart(flowcharts, added.attachedTo)
+                || fallback;
+            if (!added.id || flowcharts.some(f => f.questions.some(q => q.id === added.id))) {
+                added.id = createId();
+            }
+            flowchart.questions.push(added);
+            summary.added++;
+        });
+
+        return summary;
+    }
+
+    findMatch(flowcharts, question) {
+        const all = flowcharts.flatMap(flowchart => flowchart.questions);
+        const byId = question.id && all.find(q => q.id === question.id);
+        if (byId) return byId;
+
+        const wording = this.normalizeWording(question.text);
+        return wording ? all.find(q => this.normalizeWording(q.text) === wording) : null;
+    }
+
+    normalizeWording(text) {
+        return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+
+    findTargetFlowchart(flowcharts, target) {
+        if (!target) return null;
+        const collection = target.type === 'node' ? 'nodes' : 'connections';
+        return flowcharts.find(flowchart => flowchart[collection].some(element => element.id === target.id));
+    }
+
+    /**
+     * What still needs attention: open questions, and nodes and connections not yet approved
+     * @param {Array} flowcharts - All flowcharts
+     * @returns {Array} { flowchart, questions, nodes, connections } for flowcharts with anything open
+     */
+    getReviewItems(flowcharts) {
+        const needsReview = element => ['pending', 'rejected'].includes((element.metadata && element.metadata.status) || 'pending');
+
+        return flowcharts
+            .map(flowchart => ({
+                flowchart,
+                questions: flowchart.questions.filter(question => question.status !== 'resolved'),
+                nodes: flowchart.nodes.filter(needsReview),
+                connections: flowchart.connections.filter(needsReview)
+            }))
+            .filter(items => items.questions.length || items.nodes.length || items.connections.length);
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * Flowchart Collaborator - Connection Routing
+ * Orthogonal routes that go around node boxes, plus path and label geometry for every routing style
+ */
+
+class FlowchartRouter {
+    /**
+     * @param {Object} options - Routing options
+     * @param {number} options.margin - Clearance kept around every node in pixels
+     * @param {number} options.bendPenalty - Extra cost per turn, so routes prefer fewer bends
+     */
+    constructor(options = {}) {
+        this.margin = options.margin || 16;
+        this.bendPenalty = options.bendPenalty || 40;
+    }
+
+    /**
+     * Route a connection with horizontal and vertical segments only
+     * @param {Object} sourceNode - Node the connection leaves
+     * @param {Object} targetNode - Node the connection enters
+     * @param {Array} obstacles - Nodes to route around (source and target included)
+     * @param {Array} waypoints - User bend points to pass through; skips the automatic search when present
+     * @returns {Array} Points from the source edge to the target edge
+     */
+    routeOrthogonal(sourceNode, targetNode, obstacles, waypoints = []) {
+        const source = this.getPort(sourceNode, waypoints[0] || this.center(targetNode));
+        const target = this.getPort(targetNode, waypoints[waypoints.length - 1] || this.center(sourceNode));
+
+        if (waypoints.length) {
+            return this.simplify(this.connectElbows([source, ...waypoints, target], source.horizontal, target.horizontal));
+        }
+
+        const start = this.offset(source, this.margin);
+        const end = this.offset(target, this.margin);
+        const boxes = obstacles.map(node => ({
+            left: node.x - this.margin,
+            top: node.y - this.margin,
+            right: node.x + node.width + this.margin,
+            bottom: node.y + node.height + this.margin
+        }));
+
+        const path = this.findPath(start, end, source, target, boxes);
+        if (!path) {
+            // Nowhere to go around (overlapping nodes) - fall back to a plain elbow
+            return this.simplify(this.connectElbows([source, target], source.horizontal, target.horizontal));
+        }
+
+        return this.simplify([source, ...path, target]);
+    }
+
+    /**
+     * Shortest orthogonal path between two points on a grid built from the obstacle edges
+     */
+    findPath(start, end, source, target, boxes) {
+        const xs = this.uniqueSorted([start.x, end.x, (start.x + end.x) / 2, ...boxes.flatMap(b => [b.left, b.right])]);
+        const ys = this.uniqueSorted([start.y, end.y, (start.y + end.y) / 2, ...boxes.flatMap(b => [b.top, b.bottom])]);
+        const inside = (x, y) => boxes.some(b => x > b.left && x < b.right && y > b.top && y < b.bottom);
+
+        const startIndex = ys.indexOf(start.y) * xs.length + xs.indexOf(start.x);
+        const endIndex = ys.indexOf(end.y) * xs.length + xs.indexOf(end.x);
+        const pointAt = index => ({ x: xs[index % xs.length], y: ys[Math.floor(index / xs.length)] });
+
+        // Directions: 0 right, 1 down, 2 left, 3 up
+        const steps = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+        const startDirection = this.direction(source);
+        const endDirection = (this.direction(target) + 2) % 4;
+
+        const best = new Map();
+        const previous = new Map();
+        const queue = new FlowchartRouterQueue();
+        const startKey = startIndex * 4 + startDirection;
+        best.set(startKey, 0);
+        queue.push(startKey, 0);
+
+        while (queue.size) {
+            const { key, cost } = queue.pop();
+            if (cost > best.get(key)) continue;
+
+            const index = Math.floor(key / 4);
+            const heading = key % 4;
+            if (index === endIndex) {
+                return this.tracePath(key, previous, pointAt);
+            }
+
+            const column = index % xs.length;
+            const row = Math.floor(index / xs.length);
+            steps.forEach(([dx, dy], direction) => {
+                // Never double back on the segment just drawn
+                if (direction === (heading + 2) % 4) return;
+
+                const nextColumn = column + dx;
+                const nextRow = row + dy;
+                if (nextColumn < 0 || nextRow < 0 || nextColumn >= xs.length || nextRow >= ys.length) return;
+
+                const x = xs[nextColumn];
+                const y = ys[nextRow];
+                const midX = (xs[column] + x) / 2;
+                const midY = (ys[row] + y) / 2;
+                if (inside(midX, midY)) return;
+
+                const nextIndex = nextRow * xs.length + nextColumn;
+                if (nextIndex !== endIndex && inside(x, y)) return;
+
+                let nextCost = cost + Math.abs(x - xs[column]) + Math.abs(y - ys[row]);
+                if (direction !== heading) nextCost += this.bendPenalty;
+                if (nextIndex === endIndex && direction !== endDirection) nextCost += this.bendPenalty;
+
+                const nextKey = nextIndex * 4 + direction;
+                if (!best.has(nextKey) || nextCost < best.get(nextKey)) {
+                    best.set(nextKey, nextCost);
+                    previous.set(nextKey, key);
+                    queue.push(nextKey, nextCost);
+                }
+            });
+        }
+
+        return null;
+    }
+
+    tracePath(key, previous, pointAt) {
+        const points = [];
+        let current = key;
+        while (current !== undefined) {
+            points.unshift(pointAt(Math.floor(current / 4)));
+            current = previous.get(current);
+        }
+        return points;
+    }
+
+    /**
+     * Centre of the node side facing a point, with the direction a route leaves it
+     */
+    getPort(node, toward) {
+        const center = this.center(node);
+        const dx = toward.x - center.x;
+        const dy = toward.y - center.y;
+
+        if (Math.abs(dx) * node.height >= Math.abs(dy) * node.width) {
+            return { x: dx >= 0 ? node.x + node.width : node.x, y: center.y, horizontal: true, sign: dx >= 0 ? 1 : -1 };
+        }
+        return { x: center.x, y: dy >= 0 ? node.y + node.height : node.y, horizontal: false, sign: dy >= 0 ? 1 : -1 };
+    }
+
+    offset(port, distance) {
+        return port.horizontal
+            ? { x: port.x + port.sign * distance, y: port.y }
+            : { x: port.x, y: port.y + port.sign * distance };
+    }
+
+    direction(port) {
+        if (port.horizontal) return port.sign > 0 ? 0 : 2;
+        return port.sign > 0 ? 1 : 3;
+    }
+
+    /**
+     * Join consecutive points with right-angled corners, leaving and entering along the port axes
+     */
+    connectElbows(points, leaveHorizontally, enterHorizontally) {
+        const result = [points[0]];
+        let horizontal = leaveHorizontally;
+
+        for (let i = 1; i < points.length; i++) {
+            const from = result[result.length - 1];
+            const to = points[i];
+            const last = i === points.length - 1;
+
+            if (from.x !== to.x && from.y !== to.y) {
+                // The final corner has to line up with the side the route enters
+                const goHorizontal = last ? !enterHorizontally : horizontal;
+                result.push(goHorizontal ? { x: to.x, y: from.y } : { x: from.x, y: to.y });
+                horizontal = !goHorizontal;
+            } else {
+                horizontal = from.y === to.y;
+            }
+            result.push(to);
+        }
+
+        return result;
+    }
+
+    /**
+     * Move one corner of an orthogonal route, taking its neighbours along so both segments stay straight
+     * @param {Array} waypoints - Bend points, updated in place
+     * @param {number} index - Corner being dragged
+     * @param {Object} point - New {x, y} for the corner
+     */
+    moveBend(waypoints, index, point) {
+        const corner = waypoints[index];
+
+        [index - 1, index + 1].forEach(i => {
+            const neighbour = waypoints[i];
+            if (!neighbour) return;
+
+            if (neighbour.x === corner.x) {
+                waypoints[i] = { x: point.x, y: neighbour.y };
+            } else if (neighbour.y === corner.y) {
+                waypoints[i] = { x: neighbour.x, y: point.y };
+            }
+        });
+        waypoints[index] = { x: point.x, y: point.y };
+    }
+
+    /**
+     * Drop repeated points and points in the middle of a straight run
+     */
+    simplify(points) {
+        const result = [];
+
+        points.map(point => ({ x: point.x, y: point.y })).forEach(point => {
+            const last = result[result.length - 1];
+            if (last && last.x === point.x && last.y === point.y) return;
+
+            const beforeLast = result[result.length - 2];
+            if (beforeLast && ((beforeLast.x === last.x && last.x === point.x) || (beforeLast.y === last.y && last.y === point.y))) {
+                result.pop();
+            }
+            result.push(point);
+        });
+
+        return result;
+    }
+
+    center(node) {
+        return { x: node.x + node.width / 2, y: node.y + node.height / 2 };
+    }
+
+    uniqueSorted(values) {
+        return Array.from(new Set(values)).sort((a, b) => a - b);
+    }
+
+    /**
+     * SVG path data for a routed connection
+     * @param {Array} points - Route from source edge to target edge
+     * @param {string} routing - 'straight', 'orthogonal' or 'curved'
+     * @returns {string} Path data
+     */
+    static toPath(points, routing) {
+        if (routing === 'curved') {
+            if (points.length === 2) {
+                const [start, end] = points;
+                const controlOffset = Math.abs(end.x - start.x) * 0.3;
+                return `M ${start.x} ${start.y} C ${start.x + controlOffset} ${start.y}, ${end.x - controlOffset} ${end.y}, ${end.x} ${end.y}`;
+            }
+            return d3.line().x(p => p.x).y(p => p.y).curve(d3.curveCatmullRom.alpha(0.5))(points);
+        }
+
+        return points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+    }
+
+    /**
+     * Midpoint of the longest segment, where a label is least likely to collide with a bend
+     * @param {Array} points - Route points
+     * @returns {Object} {x, y}
+     */
+    static getLabelPoint(points) {
+        let best = { x: points[0].x, y: points[0].y };
+        let bestLength = -1;
+
+        for (let i = 1; i < points.length; i++) {
+            const length = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+            if (length > bestLength) {
+                bestLength = length;
+                best = { x: (points[i].x + points[i - 1].x) / 2, y: (points[i].y + points[i - 1].y) / 2 };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Index at which a new bend point belongs, based on the closest segment of the route
+     * @param {Array} points - Source point, existing waypoints, target point
+     * @param {Object} point - Where the user clicked
+     * @returns {number} Insertion index into the waypoint list
+     */
+    static findInsertIndex(points, point) {
+        let bestIndex = 0;
+        let bestDistance = Infinity;
+
+        for (let i = 1; i < points.length; i++) {
+            const distance = FlowchartRouter.distanceToSegment(point, points[i - 1], points[i]);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i - 1;
+            }
+        }
+
+        return bestIndex;
+    }
+
+    static distanceToSegment(point, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy));
+    }
+}
+
+/**
+ * Binary min-heap of search states keyed by cost
+ */
+class FlowchartRouterQueue {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(key, cost) {
+        const items = this.items;
+        items.push({ key, cost });
+
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (items[parent].cost <= items[index].cost) break;
+            [items[parent], items[index]] = [items[index], items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+
+        if (items.length) {
+            items[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+                if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+                if (smallest === index) break;
+                [items[smallest], items[index]] = [items[index], items[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+}
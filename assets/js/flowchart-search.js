@@ -0,0 +1,129 @@
+/**
+ * Flowchart Collaborator - Search
+ * Find nodes by text or notes and connections by label, and step through the matches on the canvas
+ */
+
+class FlowchartSearch {
+    constructor(editor) {
+        this.editor = editor;
+        this.query = '';
+        this.matches = [];
+        this.index = -1;
+    }
+
+    /**
+     * Search the current flowchart and zoom to the first match
+     * @param {string} query - Text to look for, ignoring case
+     * @returns {Object|null} The first match, or null if there are none
+     */
+    find(query) {
+        this.query = String(query || '').trim();
+        this.matches = this.getMatches(this.editor.getCurrentFlowchart(), this.query);
+        this.index = this.matches.length ? 0 : -1;
+        this.highlight();
+        return this.focusCurrent();
+    }
+
+    /**
+     * Zoom to the next or previous match, wrapping around at either end
+     * @param {number} direction - 1 for next, -1 for previous
+     * @returns {Object|null} The match now shown
+     */
+    step(direction) {
+        if (this.matches.length === 0) return null;
+
+        this.index = (this.index + direction + this.matches.length) % this.matches.length;
+        this.highlight();
+        return this.focusCurrent();
+    }
+
+    // Run the search again after the document changes, staying on the same match if it still exists
+    refresh() {
+        if (!this.query) return;
+
+        const current = this.getCurrent();
+        this.matches = this.getMatches(this.editor.getCurrentFlowchart(), this.query);
+        const kept = current ? this.matches.findIndex(match => match.type === current.type && match.id === current.id) : -1;
+        this.index = kept >= 0 ? kept : Math.min(Math.max(this.index, 0), this.matches.length - 1);
+        this.highlight();
+    }
+
+    clear() {
+        this.query = '';
+        this.matches = [];
+        this.index = -1;
+        this.highlight();
+    }
+
+    getCurrent() {
+        return this.matches[this.index] || null;
+    }
+
+    /**
+     * Nodes whose text or note contains the query, and connections whose label or note does
+     * @param {Object} flowchart - Flowchart to search
+     * @param {string} query - Text to look for, ignoring case
+     * @returns {Array} { type, id, fields, x, y } in reading order, where fields names what matched
+     *     and x, y is the point to centre on
+     */
+    getMatches(flowchart, query) {
+        if (!query) return [];
+
+        const canvas = this.editor.canvas;
+        const needle = query.toLowerCase();
+        const matchingFields = fields => Object.keys(fields)
+            .filter(field => String(fields[field] || '').toLowerCase().includes(needle));
+        const nodesById = new Map(flowchart.nodes.map(node => [node.id, node]));
+
+        const nodes = flowchart.nodes
+            .map(node => ({
+                type: 'node',
+                id: node.id,
+                fields: matchingFields({ text: node.text, note: node.metadata && node.metadata.note }),
+                x: node.x + node.width / 2,
+                y: node.y + node.height / 2
+            }))
+            .filter(match => match.fields.length);
+
+        // Routing is only worked out for connections that matched
+        const connections = flowchart.connections
+            .map(connection => ({
+                connection,
+                fields: matchingFields({ label: connection.label, note: connection.metadata && connection.metadata.note })
+            }))
+            .filter(({ connection, fields }) => fields.length && nodesById.has(connection.from) && nodesById.has(connection.to))
+            .map(({ connection, fields }) => {
+                const points = canvas.getConnectionPoints(connection, nodesById.get(connection.from), nodesById.get(connection.to));
+                const labelPoint = FlowchartRouter.getLabelPoint(points);
+                return { type: 'connection', id: connection.id, fields, x: labelPoint.x, y: labelPoint.y };
+            });
+
+        return [...nodes, ...connections].sort((a, b) => a.y - b.y || a.x - b.x);
+    }
+
+    highlight() {
+        const current = this.getCurrent();
+        const currentId = current ? current.id : null;
+
+        this.editor.canvas.showSearchMatches(this.matches.map(match => match.id), currentId);
+        this.editor.minimap.showMatches(
+            this.matches.filter(match => match.type === 'node').map(match => match.id),
+            currentId
+        );
+
+        const count = document.getElementById('search-count');
+        if (count) {
+            count.textContent = !this.query ? ''
+                : current ? `${this.index + 1} of ${this.matches.length}`
+                    : 'No matches';
+        }
+    }
+
+    focusCurrent() {
+        const current = this.getCurrent();
+        if (current) {
+            this.editor.canvas.centerOnPoint(current.x, current.y);
+        }
+        return current;
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * Flowchart Collaborator - Structural Validation
+ * Finds problems in a flowchart's graph that make the process ambiguous or unfinished
+ */
+
+class FlowchartValidator {
+    /**
+     * Check one flowchart for structural problems
+     * @param {Object} flowchart - Flowchart to check
+     * @param {Array} flowcharts - All flowcharts in the document, used to find cross-flowchart links
+     * @returns {Array} Issues as { severity, code, message, elementType, elementId }, errors first
+     */
+    validate(flowchart, flowcharts = [flowchart]) {
+        const nodeIds = new Set(flowchart.nodes.map(node => node.id));
+        const validConnections = flowchart.connections.filter(c => nodeIds.has(c.from) && nodeIds.has(c.to));
+        const issues = [
+            ...this.checkDanglingConnections(flowchart, nodeIds),
+            ...this.checkStartNodes(flowchart),
+            ...this.checkEndNodes(flowchart, validConnections),
+            ...this.checkDecisions(flowchart, validConnections),
+            ...this.checkDeadEnds(flowchart, validConnections),
+            ...this.checkReachability(flowchart, flowcharts, validConnections),
+            ...this.checkDuplicateConnections(validConnections)
+        ];
+
+        return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    }
+
+    checkDanglingConnections(flowchart, nodeIds) {
+        const issues = [];
+
+        flowchart.connections.forEach(connection => {
+            const missing = [connection.from, connection.to].filter(id => !nodeIds.has(id));
+            if (missing.length) {
+                issues.push(this.issue('error', 'dangling-connection', 'connection', connection.id,
+                    `Connection ${connection.id} points to missing node${missing.length > 1 ? 's' : ''} ${missing.map(id => `"${id}"`).join(' and ')}`));
+            }
+        });
+
+        return issues;
+    }
+
+    checkStartNodes(flowchart) {
+        const startNodes = flowchart.nodes.filter(node => node.type === 'start');
+
+        if (flowchart.nodes.length > 0 && startNodes.length === 0) {
+            return [this.issue('error', 'no-start', null, null, 'There is no start node')];
+        }
+
+        if (startNodes.length > 1) {
+            return startNodes.map(node => this.issue('warning', 'multiple-starts', 'node', node.id,
+                `${this.describe(node)} is one of ${startNodes.length} start nodes`));
+        }
+
+        return [];
+    }
+
+    checkEndNodes(flowchart, connections) {
+        return flowchart.nodes
+            .filter(node => node.type === 'end' && connections.some(c => c.from === node.id))
+            .map(node => this.issue('error', 'end-has-outgoing', 'node', node.id,
+                `End node ${this.describe(node)} has outgoing connections`));
+    }
+
+    checkDecisions(flowchart, connections) {
+        const issues = [];
+
+        flowchart.nodes.filter(node => node.type === 'decision').forEach(node => {
+            const branches = connections.filter(c => c.from === node.id);
+
+            if (branches.length < 2) {
+                issues.push(this.issue('error', 'decision-branches', 'node', node.id,
+                    `Decision ${this.describe(node)} has ${branches.length} outgoing connection${branches.length === 1 ? '' : 's'} (needs at least 2)`));
+            }
+
+            branches.filter(c => !c.label || !c.label.trim()).forEach(connection => {
+                issues.push(this.issue('warning', 'unlabeled-branch', 'connection', connection.id,
+                    `A branch from decision ${this.describe(node)} has no label`));
+            });
+        });
+
+        return issues;
+    }
+
+    checkDeadEnds(flowchart, connections) {
+        return flowchart.nodes
+            .filter(node => node.type === 'process' && !connections.some(c => c.from === node.id))
+            .map(node => this.issue('warning', 'dead-end', 'node', node.id,
+                `Process ${this.describe(node)} is a dead end (no outgoing connections)`));
+    }
+
+    /**
+     * Walk from start nodes and from nodes that other flowcharts link into
+     */
+    checkReachability(flowchart, flowcharts, connections) {
+        const entryIds = new Set(flowchart.nodes.filter(node => node.type === 'start').map(node => node.id));
+        flowcharts
+            .filter(other => other !== flowchart)
+            .forEach(other => other.nodes.forEach(node => {
+                if (node.link && node.link.flowchartId === flowchart.id && node.link.nodeId) {
+                    entryIds.add(node.link.nodeId);
+                }
+            }));
+
+        if (entryIds.size === 0) return [];
+
+        const reached = new Set(entryIds);
+        const queue = Array.from(entryIds);
+        while (queue.length) {
+            const current = queue.shift();
+            connections.filter(c => c.from === current && !reached.has(c.to)).forEach(c => {
+                reached.add(c.to);
+                queue.push(c.to);
+            });
+        }
+
+        // Annotations are comments on the diagram, not steps in the process
+        return flowchart.nodes
+            .filter(node => !reached.has(node.id) && node.type !== 'annotation')
+            .map(node => this.issue('warning', 'unreachable', 'node', node.id,
+                `${this.describe(node)} cannot be reached from a start node`));
+    }
+
+    checkDuplicateConnections(connections) {
+        const seen = new Map();
+        const issues = [];
+
+        connections.forEach(connection => {
+            const key = `${connection.from}->${connection.to}`;
+            if (seen.has(key)) {
+                issues.push(this.issue('warning', 'duplicate-connection', 'connection', connection.id,
+                    `Connection ${connection.id} duplicates ${seen.get(key)}`));
+            } else {
+                seen.set(key, connection.id);
+            }
+        });
+
+        return issues;
+    }
+
+    describe(node) {
+        const text = (node.text || '').trim();
+        return text ? `"${text}"` : node.id;
+    }
+
+    issue(severity, code, elementType, elementId, message) {
+        return { severity, code, elementType, elementId, message };
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Flowchart Collaborator - Version Snapshots
+ * Named copies of the document, and a diff between any two of them drawn as one flowchart
+ */
+
+class FlowchartVersions {
+    constructor(editor) {
+        this.editor = editor;
+        this.kinds = ['added', 'deleted', 'moved', 'relabelled'];
+    }
+
+    /**
+     * Copy of the current document to keep as a named version
+     * @param {string} name - Name shown in the version selector
+     * @returns {Object} { id, name, timestamp, data }
+     */
+    createSnapshot(name) {
+        const data = this.editor.exportToJSON();
+        return {
+            id: `version-${Date.now()}`,
+            name: name,
+            timestamp: data.timestamp,
+            data: data
+        };
+    }
+
+    /**
+     * Compare two documents flowchart by flowchart, matching nodes and connections by ID
+     * @param {Object} before - Older document, as exported
+     * @param {Object} after - Newer document, as exported
+     * @returns {Array} { id, title, status, nodes, connections, counts } per flowchart, where status is
+     *     'added', 'deleted' or 'kept' and each element entry is { id, before, after, changes }
+     */
+    compare(before, after) {
+        const beforeFlowcharts = before.flowcharts || [];
+        const afterFlowcharts = after.flowcharts || [];
+        const ids = Array.from(new Set([...afterFlowcharts, ...beforeFlowcharts].map(flowchart => flowchart.id)));
+
+        return ids.map(id => {
+            const older = beforeFlowcharts.find(flowchart => flowchart.id === id);
+            const newer = afterFlowcharts.find(flowchart => flowchart.id === id);
+            const nodes = this.compareElements((older && older.nodes) || [], (newer && newer.nodes) || [], (a, b) => [
+                (a.x !== b.x || a.y !== b.y) && 'moved',
+                (a.text || '') !== (b.text || '') && 'relabelled'
+            ]);
+            const connections = this.compareElements((older && older.connections) || [], (newer && newer.connections) || [], (a, b) => [
+                (a.from !== b.from || a.to !== b.to) && 'moved',
+                (a.label || '') !== (b.label || '') && 'relabelled'
+            ]);
+
+            const counts = {};
+            this.kinds.forEach(kind => {
+                counts[kind] = [...nodes, ...connections].filter(entry => entry.changes.includes(kind)).length;
+            });
+
+            return {
+                id,
+                title: (newer || older).title || id,
+                status: !older ? 'added' : !newer ? 'deleted' : 'kept',
+                nodes,
+                connections,
+                counts
+            };
+        });
+    }
+
+    compareElements(beforeElements, afterElements, compareFields) {
+        const beforeById = new Map(beforeElements.map(element => [element.id, element]));
+        const afterIds = new Set(afterElements.map(element => element.id));
+
+        const kept = afterElements.map(element => {
+            const previous = beforeById.get(element.id);
+            return {
+                id: element.id,
+                before: previous || null,
+                after: element,
+                changes: previous ? compareFields(previous, element).filter(Boolean) : ['added']
+            };
+        });
+        const deleted = beforeElements
+            .filter(element => !afterIds.has(element.id))
+            .map(element => ({ id: element.id, before: element, after: null, changes: ['deleted'] }));
+
+        return [...kept, ...deleted];
+    }
+
+    /**
+     * Draw one flowchart's diff: the newer layout, deleted elements where they used to be,
+     * and a dashed outline and arrow from each moved node's old position
+     * @param {SVGElement} svgElement - Empty SVG to draw into
+     * @param {Object} diff - One entry from compare()
+     */
+    render(svgElement, diff) {
+        const canvas = this.editor.canvas;
+        const svg = d3.select(svgElement);
+        svg.selectAll('*').remove();
+
+        const placed = node => node && FlowchartLayout.hasPosition(node);
+        const afterNodes = diff.nodes.filter(entry => placed(entry.after)).map(entry => entry.after);
+        const beforeNodes = diff.nodes.filter(entry => placed(entry.before)).map(entry => entry.before);
+        const drawn = [...afterNodes, ...beforeNodes];
+        if (drawn.length === 0) return;
+
+        const group = svg.append('g');
+        const afterById = new Map(afterNodes.map(node => [node.id, node]));
+        const beforeById = new Map(beforeNodes.map(node => [node.id, node]));
+
+        diff.connections.forEach(entry => {
+            const deleted = entry.changes.includes('deleted');
+            const connection = deleted ? entry.before : entry.after;
+            const nodes = deleted ? beforeById : afterById;
+            const sourceNode = nodes.get(connection.from);
+            const targetNode = nodes.get(connection.to);
+            if (!sourceNode || !targetNode) return;
+
+            const points = canvas.getConnectionPoints(connection, sourceNode, targetNode, Array.from(nodes.values()));
+            const connectionGroup = group.append('g')
+                .attr('class', `flowchart-connection-group ${this.getDiffClasses(entry)}`);
+            connectionGroup.append('path')
+                .attr('class', 'flowchart-connection')
+                .attr('d', canvas.calculateConnectionPath(points, connection.routing));
+            if (connection.label) {
+                const labelPoint = FlowchartRouter.getLabelPoint(points);
+                connectionGroup.append('text')
+                    .attr('class', 'connection-label')
+                    .attr('x', labelPoint.x)
+                    .attr('y', labelPoint.y - 5)
+                    .text(connection.label);
+            }
+            connectionGroup.append('title').text(this.describeEntry(entry, 'connection', diff));
+        });
+
+        diff.nodes.filter(entry => entry.changes.includes('moved') && placed(entry.before) && placed(entry.after)).forEach(entry => {
+            this.drawNode(group, entry.before, 'diff-moved-from');
+            group.append('line')
+                .attr('class', 'diff-move-line')
+                .attr('x1', entry.before.x + entry.before.width / 2)
+                .attr('y1', entry.before.y + entry.before.height / 2)
+                .attr('x2', entry.after.x + entry.after.width / 2)
+                .attr('y2', entry.after.y + entry.after.height / 2);
+        });
+
+        diff.nodes.forEach(entry => {
+            const node = entry.changes.includes('deleted') ? entry.before : entry.after;
+            if (!placed(node)) return;
+
+            const nodeGroup = this.drawNode(group, node, this.getDiffClasses(entry));
+            nodeGroup.append('title').text(this.describeEntry(entry, 'node', diff));
+        });
+
+        const bounds = canvas.calculateBounds(drawn);
+        const padding = 40;
+        svg.attr('viewBox', [
+            bounds.minX - padding,
+            bounds.minY - padding,
+            bounds.width + padding * 2,
+            bounds.height + padding * 2
+        ].join(' '));
+    }
+
+    drawNode(group, node, classes) {
+        const canvas = this.editor.canvas;
+        const nodeGroup = group.append('g')
+            .attr('class', `flowchart-node ${classes}`)
+            .attr('transform', `translate(${node.x}, ${node.y})`);
+        canvas.createNodeShape(nodeGroup, node);
+        canvas.renderNodeText(nodeGroup.append('text').attr('class', 'node-text'), node);
+        return nodeGroup;
+    }
+
+    getDiffClasses(entry) {
+        return entry.changes.length ? entry.changes.map(change => `diff-${change}`).join(' ') : 'diff-unchanged';
+    }
+
+    /**
+     * One-line description of an element's changes, for tooltips and the change list
+     * @param {Object} entry - Node or connection entry from compare()
+     * @param {string} type - 'node' or 'connection'
+     * @param {Object} diff - The flowchart diff the entry belongs to, for naming connection ends
+     * @returns {string} e.g. 'node "Ship" relabelled (was "Send")'
+     */
+    describeEntry(entry, type, diff) {
+        const questionBank = this.editor.questionBank;
+        const flowchart = { nodes: diff.nodes.map(node => node.after || node.before) };
+        const describe = element => type === 'node'
+            ? questionBank.describeNode(element)
+            : questionBank.describeConnection(element, flowchart);
+
+        const details = entry.changes.map(change => {
+            if (change === 'relabelled') {
+                const previous = type === 'node' ? entry.before.text : entry.before.label;
+                return `relabelled (was "${previous || ''}")`;
+            }
+            if (change === 'moved' && type === 'connection') {
+                return `reconnected (was ${describe(entry.before)})`;
+            }
+            return change;
+        });
+
+        return `${type} ${describe(entry.after || entry.before)} ${details.join(', ') || 'unchanged'}`;
+    }
+}
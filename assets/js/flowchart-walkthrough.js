@@ -0,0 +1,196 @@
+/**
+ * Flowchart Collaborator - Walkthrough Mode
+ * Steps through a flowchart from its start node, recording the path taken
+ */
+
+class FlowchartWalkthrough {
+    constructor(editor) {
+        this.editor = editor;
+        this.active = false;
+        this.flowchartId = null;
+        this.steps = []; // { nodeId, connectionId } - connectionId is the edge taken to reach the node
+    }
+
+    /**
+     * Begin a walkthrough of the active flowchart at its first start node
+     * @returns {boolean} False if the flowchart has no start node
+     */
+    start() {
+        const flowchart = this.editor.getCurrentFlowchart();
+        const startNode = flowchart.nodes.find(node => node.type === 'start');
+        if (!startNode) return false;
+
+        this.active = true;
+        this.flowchartId = flowchart.id;
+        this.steps = [{ nodeId: startNode.id, connectionId: null }];
+        this.render();
+        this.editor.canvas.centerOnNode(startNode);
+        return true;
+    }
+
+    stop() {
+        if (!this.active) return;
+
+        this.active = false;
+        this.steps = [];
+        this.editor.canvas.clearWalkthrough();
+        this.renderPanel();
+    }
+
+    getCurrentNode() {
+        const current = this.steps[this.steps.length - 1];
+        return current ? this.editor.findNodeById(current.nodeId) : null;
+    }
+
+    /**
+     * Outgoing connections from the current node whose target still exists
+     * @returns {Array} { connection, target } pairs
+     */
+    getOptions() {
+        const node = this.getCurrentNode();
+        if (!node) return [];
+
+        return this.editor.getCurrentFlowchart().connections
+            .filter(connection => connection.from === node.id)
+            .map(connection => ({ connection, target: this.editor.findNodeById(connection.to) }))
+            .filter(option => option.target);
+    }
+
+    choose(connectionId) {
+        const option = this.getOptions().find(o => o.connection.id === connectionId);
+        if (!option) return;
+
+        this.steps.push({ nodeId: option.target.id, connectionId: connectionId });
+        this.render();
+        this.editor.canvas.centerOnNode(option.target);
+    }
+
+    back() {
+        if (this.steps.length <= 1) return;
+
+        this.steps.pop();
+        this.render();
+        this.editor.canvas.centerOnNode(this.getCurrentNode());
+    }
+
+    /**
+     * Describe the path as a numbered list, noting the branch label chosen at each step
+     * @param {Array} steps - Steps to describe (defaults to the current walk)
+     * @returns {string} One line per step
+     */
+    toStepList(steps = this.steps) {
+        const flowchart = this.editor.getCurrentFlowchart();
+
+        return steps.map((step, index) => {
+            const node = flowchart.nodes.find(n => n.id === step.nodeId);
+            const next = steps[index + 1];
+            const taken = next && flowchart.connections.find(c => c.id === next.connectionId);
+            const text = node ? (node.text || node.id) : `${step.nodeId} (deleted)`;
+
+            return `${index + 1}. ${text}${taken && taken.label ? ` → ${taken.label}` : ''}`;
+        }).join('\n');
+    }
+
+    /**
+     * Nodes and connections that no saved path has visited
+     * @param {Object} flowchart - Flowchart to check
+     * @returns {Object} { nodeIds, connectionIds }
+     */
+    getUntested(flowchart = this.editor.getCurrentFlowchart()) {
+        const visitedNodes = new Set();
+        const visitedConnections = new Set();
+
+        flowchart.walkthroughs.forEach(path => {
+            path.steps.forEach(step => {
+                visitedNodes.add(step.nodeId);
+                if (step.connectionId) visitedConnections.add(step.connectionId);
+            });
+        });
+
+        return {
+            nodeIds: flowchart.nodes.filter(n => !visitedNodes.has(n.id)).map(n => n.id),
+            connectionIds: flowchart.connections.filter(c => !visitedConnections.has(c.id)).map(c => c.id)
+        };
+    }
+
+    render() {
+        const flowchart = this.editor.getCurrentFlowchart();
+        const untested = flowchart.walkthroughs.length ? this.getUntested(flowchart) : { nodeIds: [], connectionIds: [] };
+
+        this.editor.canvas.showWalkthrough({
+            currentNodeId: this.steps[this.steps.length - 1].nodeId,
+            visitedNodeIds: this.steps.map(step => step.nodeId),
+            visitedConnectionIds: this.steps.map(step => step.connectionId).filter(Boolean),
+            untestedNodeIds: untested.nodeIds,
+            untestedConnectionIds: untested.connectionIds
+        });
+        this.renderPanel();
+    }
+
+    renderPanel() {
+        const panel = document.getElementById('walkthrough-panel');
+        if (!panel) return;
+
+        panel.style.display = this.active ? 'block' : 'none';
+        document.getElementById('walkthrough-btn')?.classList.toggle('active', this.active);
+        if (!this.active) return;
+
+        const node = this.getCurrentNode();
+        document.getElementById('walkthrough-step').textContent =
+            `Step ${this.steps.length}: ${node ? (node.text || node.id) : 'missing node'}`;
+        document.getElementById('walkthrough-back-btn').disabled = this.steps.length <= 1;
+
+        const optionsContainer = document.getElementById('walkthrough-options');
+        const options = this.getOptions();
+        optionsContainer.innerHTML = '';
+
+        if (options.length === 0) {
+            optionsContainer.innerHTML = `<p class="text-muted">${node && node.type === 'end'
+                ? 'Reached the end of the process.'
+                : 'No way forward from here.'}</p>`;
+        }
+
+        options.forEach(({ connection, target }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn btn-sm btn-secondary walkthrough-option';
+            button.textContent = connection.label
+                ? `${connection.label} → ${target.text || target.id}`
+                : `→ ${target.text || target.id}`;
+            button.addEventListener('click', () => this.choose(connection.id));
+            optionsContainer.appendChild(button);
+        });
+
+        this.renderSavedPaths();
+    }
+
+    renderSavedPaths() {
+        const flowchart = this.editor.getCurrentFlowchart();
+        const list = document.getElementById('walkthrough-paths');
+        list.innerHTML = '';
+
+        flowchart.walkthroughs.forEach(path => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <span>${sanitizeHTML(path.name)} (${path.steps.length} steps)</span>
+                <button type="button" class="walkthrough-path-delete" title="Delete saved path">×</button>
+            `;
+            item.querySelector('button').addEventListener('click', () => {
+                this.editor.deleteWalkthrough(path.id);
+                this.render();
+            });
+            list.appendChild(item);
+        });
+
+        const coverage = document.getElementById('walkthrough-coverage');
+        if (flowchart.walkthroughs.length === 0) {
+            coverage.textContent = 'Save a path to start tracking coverage.';
+        } else {
+            const untested = this.getUntested(flowchart);
+            coverage.textContent = untested.nodeIds.length || untested.connectionIds.length
+                ? `Untested: ${untested.nodeIds.length} node${untested.nodeIds.length === 1 ? '' : 's'}, ` +
+                  `${untested.connectionIds.length} connection${untested.connectionIds.length === 1 ? '' : 's'}`
+                : 'Every node and connection has been walked.';
+        }
+    }
+}
@@ -18,14 +18,33 @@ class FlowchartEditor {
                 description: '',
                 nodes: [],
                 connections: [],
-                questions: []
+                questions: [],
+                walkthroughs: [],
+                containers: []
             }]
         };
         
-        this.selectedElement = null;
+        this.activeFlowchartId = 'flowchart-1';
+        this.selectedElement = null; // Set only when exactly one element is selected
+        this.selection = { nodeIds: [], connectionIds: [], containerIds: [] };
+        this.nextFlowchartId = 2;
         this.nextNodeId = 1;
         this.nextConnectionId = 1;
         this.nextQuestionId = 1;
+        this.nextContainerId = 1;
+        
+        this.history = new FlowchartHistory(this);
+        this.validator = new FlowchartValidator();
+        this.walkthrough = new FlowchartWalkthrough(this);
+        this.questionBank = new FlowchartQuestions();
+        this.fields = new FlowchartFields();
+        this.paths = new FlowchartPaths(this);
+        this.mergeReview = new FlowchartMergeReview(this);
+        this.versions = new FlowchartVersions(this);
+        this.keyboard = new FlowchartKeyboard(this);
+        this.minimap = new FlowchartMinimap(this, 'flowchart-minimap');
+        this.search = new FlowchartSearch(this);
+        this.dragOrigin = null;
         
         // Set up canvas event handlers
         this.setupEventHandlers();
@@ -36,32 +55,156 @@ class FlowchartEditor {
         
         // Canvas click handler
         this.canvas.on('canvasClick', (event, coordinates) => {
-            if (window.currentMode === 'add' && window.selectedNodeType) {
-                this.addNode(window.selectedNodeType, coordinates.x, coordinates.y);
+            const point = this.canvas.alignment.snapPoint(coordinates);
+            if (window.currentMode === 'add' && ['swimlane', 'group'].includes(window.selectedNodeType)) {
+                this.addContainer(window.selectedNodeType, point.x, point.y);
                 window.setMode('select');
-            } else {
+            } else if (window.currentMode === 'add' && window.selectedNodeType) {
+                this.addNode(window.selectedNodeType, point.x, point.y);
+                window.setMode('select');
+            } else if (!event.shiftKey) {
                 this.clearSelection();
             }
         });
         
+        this.canvas.on('marqueeSelect', (event, bounds) => {
+            this.selectInBounds(bounds, true);
+        });
+        
         // Node event handlers
         this.canvas.on('nodeClick', (event, node) => {
             event.stopPropagation();
-            this.selectElement(node, 'node');
+            if (event.shiftKey) {
+                this.toggleElementSelection(node, 'node');
+            } else {
+                this.selectElement(node, 'node');
+            }
+        });
+        
+        this.canvas.on('nodeDragStart', (event, node) => {
+            // Dragging a selected node moves the whole selection
+            const group = this.selection.nodeIds.includes(node.id) ? this.getSelectedNodes() : [node];
+            this.dragOrigin = {
+                nodeId: node.id,
+                x: node.x,
+                y: node.y,
+                nodes: group.map(n => ({ id: n.id, ...this.pickFields(n, ['x', 'y', 'containerId']) }))
+            };
         });
         
         this.canvas.on('nodeDrag', (event, node, newPosition) => {
             this.updateNodePosition(node.id, newPosition.x, newPosition.y);
+            this.moveDragGroup(node);
+        });
+        
+        this.canvas.on('nodeDragEnd', (event, node) => {
+            this.endNodeDrag(node);
+        });
+        
+        this.canvas.on('nodeResizeStart', (event, node) => {
+            this.startNodeResize(node);
+        });
+        
+        this.canvas.on('nodeResizeEnd', (event, node) => {
+            this.endNodeResize(node);
+            window.updatePropertiesPanel();
         });
         
         this.canvas.on('nodeDoubleClick', (event, node) => {
-            this.editNodeText(node);
+            if (node.link && this.canLinkNode(node)) {
+                this.followNodeLink(node);
+            } else {
+                this.editNodeText(node);
+            }
         });
         
         // Connection event handlers
+        // Container event handlers
+        this.canvas.on('containerClick', (event, container) => {
+            event.stopPropagation();
+            if (event.shiftKey) {
+                this.toggleElementSelection(container, 'container');
+            } else {
+                this.selectElement(container, 'container');
+            }
+        });
+        
+        this.canvas.on('containerDoubleClick', (event, container) => {
+            const label = prompt('Enter container label:', container.label);
+            if (label !== null) {
+                this.updateContainerLabel(container.id, label);
+            }
+        });
+        
+        this.canvas.on('containerDragStart', (event, container) => {
+            this.startContainerDrag(container);
+        });
+        
+        this.canvas.on('containerDrag', (event, container) => {
+            this.dragContainer(container);
+        });
+        
+        this.canvas.on('containerDragEnd', (event, container) => {
+            this.endContainerDrag(container, 'move container');
+        });
+        
+        this.canvas.on('containerResizeStart', (event, container) => {
+            this.startContainerDrag(container);
+        });
+        
+        this.canvas.on('containerResizeEnd', (event, container) => {
+            this.endContainerDrag(container, 'resize container');
+        });
+        
         this.canvas.on('connectionClick', (event, connection) => {
             event.stopPropagation();
-            this.selectElement(connection, 'connection');
+            if (event.shiftKey) {
+                this.toggleElementSelection(connection, 'connection');
+            } else {
+                this.selectElement(connection, 'connection');
+            }
+        });
+        
+        this.canvas.on('connectionDoubleClick', (event, connection, point) => {
+            event.stopPropagation();
+            this.addConnectionWaypoint(connection.id, point);
+        });
+        
+        // Bend point handlers
+        this.canvas.on('bendDragStart', (event, connection) => {
+            this.bendDragOrigin = this.pickFields(connection, ['waypoints']);
+        });
+        
+        this.canvas.on('bendDragEnd', (event, connection) => {
+            const before = this.bendDragOrigin;
+            this.bendDragOrigin = null;
+            if (!before) return;
+            
+            // A press or double-click without a move shouldn't take an undo step
+            const after = this.pickFields(connection, ['waypoints']);
+            if (JSON.stringify(before) === JSON.stringify(after)) return;
+            
+            this.history.record({
+                type: 'updateConnection',
+                label: 'move bend point',
+                flowchartId: this.getCurrentFlowchart().id,
+                elementId: connection.id,
+                fields: ['waypoints'],
+                before: before,
+                after: after
+            });
+            window.updatePropertiesPanel();
+        });
+        
+        this.canvas.on('bendDoubleClick', (event, connection, index) => {
+            this.removeConnectionWaypoint(connection.id, index);
+        });
+        
+        // Question badges select the element and show its questions
+        this.canvas.on('questionBadgeClick', (event, type, element) => {
+            event.stopPropagation();
+            this.selectElement(element, type);
+            window.showElementQuestions(type, element.id);
         });
         
         // Connection creation handler
@@ -89,23 +232,30 @@ class FlowchartEditor {
             y: y,
             width: this.getDefaultNodeSize(type).width,
             height: this.getDefaultNodeSize(type).height,
-            style: {
-                backgroundColor: this.getDefaultNodeColor(type),
-                borderColor: '#1976d2',
-                textColor: '#000'
-            },
+            style: FlowchartNodeStyle.getDefaultStyle(this.getDefaultNodeColor(type)),
             metadata: {
                 category: 'core',
                 priority: 'medium',
                 status: 'pending',
-                note: ''
+                note: '',
+                properties: {}
             }
         };
         
-        this.getCurrentFlowchart().nodes.push(nodeData);
+        const flowchart = this.getCurrentFlowchart();
+        this.setNodeContainer(nodeData, this.findContainerForNode(nodeData)?.id);
+        flowchart.nodes.push(nodeData);
         this.canvas.renderNode(nodeData);
         this.updateStats();
         
+        this.history.record({
+            type: 'addElements',
+            label: `add ${type} node`,
+            flowchartId: flowchart.id,
+            nodes: [{ index: flowchart.nodes.length - 1, node: this.snapshot(nodeData) }],
+            connections: []
+        });
+        
         // Track analytics
         if (typeof window.trackEvent !== 'undefined') {
             window.trackEvent('node_added', { type: type });
@@ -117,16 +267,86 @@ class FlowchartEditor {
     updateNodePosition(nodeId, x, y) {
         const node = this.findNodeById(nodeId);
         if (node) {
-            node.x = x;
-            node.y = y;
+            // A drag is recorded once, when it ends
+            if (this.dragOrigin) {
+                node.x = x;
+                node.y = y;
+            } else {
+                this.recordElementChange('node', node, ['x', 'y'], 'move node', () => {
+                    node.x = x;
+                    node.y = y;
+                });
+            }
             this.canvas.updateNodePosition(node);
         }
     }
     
+    moveDragGroup(node) {
+        const origin = this.dragOrigin;
+        if (!origin || origin.nodes.length < 2) return;
+        
+        const dx = node.x - origin.x;
+        const dy = node.y - origin.y;
+        origin.nodes.filter(start => start.id !== node.id).forEach(start => {
+            const member = this.findNodeById(start.id);
+            if (member) {
+                member.x = start.x + dx;
+                member.y = start.y + dy;
+                this.canvas.updateNodePosition(member);
+            }
+        });
+    }
+    
+    endNodeDrag(node) {
+        const origin = this.dragOrigin;
+        this.dragOrigin = null;
+        if (!origin || origin.nodeId !== node.id || (origin.x === node.x && origin.y === node.y)) return;
+        
+        // Dropping a node inside a swimlane or group makes it a member
+        const fields = ['x', 'y', 'containerId'];
+        const moved = origin.nodes.map(start => this.findNodeById(start.id)).filter(Boolean);
+        moved.forEach(member => this.setNodeContainer(member, this.findContainerForNode(member)?.id));
+        
+        if (origin.nodes.length > 1) {
+            const flowchart = this.getCurrentFlowchart();
+            this.history.record({
+                type: 'updateElements',
+                label: `move ${origin.nodes.length} nodes`,
+                flowchartId: flowchart.id,
+                fields: fields,
+                changes: origin.nodes.map(start => ({
+                    flowchartId: flowchart.id,
+                    collection: 'nodes',
+                    id: start.id,
+                    before: this.pickFields(start, fields),
+                    after: this.pickFields(this.findNodeById(start.id), fields)
+                }))
+            });
+        } else {
+            this.history.record({
+                type: 'updateNode',
+                label: 'move node',
+                flowchartId: this.getCurrentFlowchart().id,
+                elementId: node.id,
+                fields: fields,
+                before: this.pickFields(origin.nodes[0], fields),
+                after: this.pickFields(node, fields)
+            });
+        }
+        
+        this.canvas.updateAllConnections();
+        if (this.selectedElement && moved.some(member => member.id === this.selectedElement.id)) {
+            window.updatePropertiesPanel();
+        }
+    }
+    
     updateNodeText(nodeId, text) {
         const node = this.findNodeById(nodeId);
         if (node) {
-            node.text = text;
+            this.recordElementChange('node', node, ['text', 'width', 'height'], 'edit node text', () => {
+                node.text = text;
+                this.fitNodeToText(node);
+            }, true);
             this.canvas.updateNodeText(node);
         }
     }
@@ -134,19 +354,36 @@ class FlowchartEditor {
     updateNodeType(nodeId, type) {
         const node = this.findNodeById(nodeId);
         if (node) {
-            node.type = type;
-            node.style.backgroundColor = this.getDefaultNodeColor(type);
-            const size = this.getDefaultNodeSize(type);
-            node.width = size.width;
-            node.height = size.height;
+            this.recordElementChange('node', node, ['type', 'link', 'style', 'width', 'height'], 'change node type', () => {
+                this.applyNodeType(node, type);
+            });
             this.canvas.updateNode(node);
+            this.updateValidationPanel();
+        }
+    }
+    
+    // Give a node the link, colour and size its new type expects
+    applyNodeType(node, type) {
+        node.type = type;
+        // Subprocesses link to a whole flowchart, connectors to one node in it
+        if (node.link && type === 'subprocess') {
+            node.link = { flowchartId: node.link.flowchartId };
+        } else if (node.link && !(type === 'connector' && node.link.nodeId)) {
+            delete node.link;
         }
+        node.style.backgroundColor = this.getDefaultNodeColor(type);
+        const size = this.getDefaultNodeSize(type);
+        node.width = size.width;
+        node.height = size.height;
+        this.fitNodeToText(node);
     }
     
     updateNodeStatus(nodeId, status) {
         const node = this.findNodeById(nodeId);
         if (node) {
-            node.metadata.status = status;
+            this.recordElementChange('node', node, ['metadata'], 'change node status', () => {
+                node.metadata.status = status;
+            });
             this.canvas.updateNodeStatus(node);
         }
     }
@@ -154,23 +391,127 @@ class FlowchartEditor {
     updateNodeNotes(nodeId, notes) {
         const node = this.findNodeById(nodeId);
         if (node) {
-            node.metadata.note = notes;
+            this.recordElementChange('node', node, ['metadata'], 'edit node notes', () => {
+                node.metadata.note = notes;
+            }, true);
+        }
+    }
+    
+    /**
+     * Change a node's category or priority
+     * @param {string} nodeId - Node ID
+     * @param {string} field - 'category' or 'priority'
+     * @param {string} value - New value
+     */
+    updateNodeField(nodeId, field, value) {
+        const node = this.findNodeById(nodeId);
+        if (node) {
+            // Typing a category is one step; each priority picked is a step of its own
+            this.recordElementChange('node', node, ['metadata'], `change node ${field}`, () => {
+                node.metadata[field] = value;
+            }, field === 'category');
         }
     }
     
+    /**
+     * Add, change or remove one of a node's custom properties, such as owner or cost
+     * @param {string} nodeId - Node ID
+     * @param {string} key - Property name
+     * @param {string|null} value - New value, or null to remove the property
+     * @returns {boolean} False if the name is empty or belongs to a built-in field
+     */
+    setNodeProperty(nodeId, key, value) {
+        const node = this.findNodeById(nodeId);
+        const name = this.fields.normalizeKey(key);
+        if (!node || !name || this.fields.isReserved(name)) return false;
+        
+        const typing = value !== null && name in (node.metadata.properties || {});
+        const label = value === null ? 'remove node property' : typing ? 'edit node property' : 'add node property';
+        this.recordElementChange('node', node, ['metadata'], label, () => {
+            const properties = { ...node.metadata.properties };
+            if (value === null) {
+                delete properties[name];
+            } else {
+                properties[name] = String(value);
+            }
+            node.metadata.properties = properties;
+        }, typing);
+        return true;
+    }
+    
     deleteNode(nodeId) {
+        this.removeElements([nodeId], [], 'delete node');
+    }
+    
+    /**
+     * Remove nodes and connections as one undo step.
+     * Connections attached to a removed node go with it.
+     * @returns {number} Number of elements removed
+     */
+    removeElements(nodeIds, connectionIds, label, containerIds = []) {
         const flowchart = this.getCurrentFlowchart();
+        const nodeIdSet = new Set(nodeIds);
+        const connectionIdSet = new Set(connectionIds);
+        const containerIdSet = new Set(containerIds);
+        
+        const removedNodes = [];
+        flowchart.nodes.forEach((node, index) => {
+            if (nodeIdSet.has(node.id)) {
+                removedNodes.push({ index, node: this.snapshot(node) });
+            }
+        });
         
-        // Remove the node
-        flowchart.nodes = flowchart.nodes.filter(n => n.id !== nodeId);
+        const removedConnections = [];
+        flowchart.connections.forEach((connection, index) => {
+            if (connectionIdSet.has(connection.id) || nodeIdSet.has(connection.from) || nodeIdSet.has(connection.to)) {
+                removedConnections.push({ index, connection: this.snapshot(connection) });
+            }
+        });
         
-        // Remove all connections to/from this node
-        flowchart.connections = flowchart.connections.filter(c => 
-            c.from !== nodeId && c.to !== nodeId
-        );
+        const removedContainers = [];
+        flowchart.containers.forEach((container, index) => {
+            if (containerIdSet.has(container.id)) {
+                removedContainers.push({ index, container: this.snapshot(container) });
+            }
+        });
         
-        this.canvas.removeNode(nodeId);
+        // Nodes left behind by a removed container fall back to any container around it
+        const remainingContainers = flowchart.containers.filter(c => !containerIdSet.has(c.id));
+        const memberships = flowchart.nodes
+            .filter(node => !nodeIdSet.has(node.id) && containerIdSet.has(node.containerId))
+            .map(node => ({
+                nodeId: node.id,
+                with: node.containerId,
+                without: this.findContainerForNode(node, remainingContainers)?.id
+            }));
+        
+        const removedCount = removedNodes.length + removedConnections.length + removedContainers.length;
+        if (removedCount === 0) return 0;
+        
+        this.history.record({
+            type: 'removeElements',
+            label: label,
+            flowchartId: flowchart.id,
+            nodes: removedNodes,
+            connections: removedConnections,
+            containers: removedContainers,
+            memberships: memberships
+        });
+        
+        const removedConnectionIds = new Set(removedConnections.map(entry => entry.connection.id));
+        flowchart.nodes = flowchart.nodes.filter(n => !nodeIdSet.has(n.id));
+        flowchart.connections = flowchart.connections.filter(c => !removedConnectionIds.has(c.id));
+        flowchart.containers = flowchart.containers.filter(c => !containerIdSet.has(c.id));
+        memberships.forEach(membership => {
+            this.setNodeContainer(this.findNodeById(membership.nodeId), membership.without);
+        });
+        
+        removedNodes.forEach(entry => this.canvas.removeNode(entry.node.id));
+        removedConnectionIds.forEach(connectionId => this.canvas.removeConnection(connectionId));
+        removedContainers.forEach(entry => this.canvas.removeContainer(entry.container.id));
         this.updateStats();
+        
+        return removedCount;
     }
     
     // Connection management
@@ -198,16 +539,26 @@ class FlowchartEditor {
             to: toNodeId,
             label: label,
             style: 'solid',
+            routing: 'curved',
             metadata: {
                 status: 'pending',
                 note: ''
             }
         };
         
-        this.getCurrentFlowchart().connections.push(connectionData);
+        const flowchart = this.getCurrentFlowchart();
+        flowchart.connections.push(connectionData);
         this.canvas.renderConnection(connectionData);
         this.updateStats();
         
+        this.history.record({
+            type: 'addElements',
+            label: 'add connection',
+            flowchartId: flowchart.id,
+            nodes: [],
+            connections: [{ index: flowchart.connections.length - 1, connection: this.snapshot(connectionData) }]
+        });
+        
         // Track analytics
         if (typeof window.trackEvent !== 'undefined') {
             window.trackEvent('connection_added');
@@ -219,188 +570,1972 @@ class FlowchartEditor {
     updateConnectionLabel(connectionId, label) {
         const connection = this.findConnectionById(connectionId);
         if (connection) {
-            connection.label = label;
+            this.recordElementChange('connection', connection, ['label'], 'edit connection label', () => {
+                connection.label = label;
+            }, true);
             this.canvas.updateConnectionLabel(connection);
+            this.updateValidationPanel();
         }
     }
     
     updateConnectionStyle(connectionId, style) {
         const connection = this.findConnectionById(connectionId);
         if (connection) {
-            connection.style = style;
+            this.recordElementChange('connection', connection, ['style'], 'change line style', () => {
+                connection.style = style;
+            });
             this.canvas.updateConnectionStyle(connection);
         }
     }
     
-    updateConnectionStatus(connectionId, status) {
+    updateConnectionRouting(connectionId, routing) {
         const connection = this.findConnectionById(connectionId);
         if (connection) {
-            connection.metadata.status = status;
-            this.canvas.updateConnectionStatus(connection);
+            this.recordElementChange('connection', connection, ['routing'], 'change connection routing', () => {
+                connection.routing = routing;
+            });
+            this.canvas.updateConnection(connection);
         }
     }
     
-    deleteConnection(connectionId) {
-        const flowchart = this.getCurrentFlowchart();
-        flowchart.connections = flowchart.connections.filter(c => c.id !== connectionId);
-        this.canvas.removeConnection(connectionId);
-        this.updateStats();
+    /**
+     * Add a bend point where the user double-clicked a connection
+     * @param {string} connectionId - Connection to bend
+     * @param {Object} point - {x, y} in diagram coordinates
+     */
+    addConnectionWaypoint(connectionId, point) {
+        const connection = this.findConnectionById(connectionId);
+        const sourceNode = connection && this.findNodeById(connection.from);
+        const targetNode = connection && this.findNodeById(connection.to);
+        if (!sourceNode || !targetNode) return;
+        
+        const route = this.canvas.getConnectionPoints(connection, sourceNode, targetNode);
+        const waypoints = this.canvas.getBendHandlePoints(connection, route).map(p => ({ x: p.x, y: p.y }));
+        const index = FlowchartRouter.findInsertIndex([route[0], ...waypoints, route[route.length - 1]], point);
+        
+        this.recordElementChange('connection', connection, ['waypoints'], 'add bend point', () => {
+            waypoints.splice(index, 0, { x: point.x, y: point.y });
+            connection.waypoints = waypoints;
+        });
+        this.canvas.updateConnection(connection);
+        this.canvas.renderBendHandles(connection);
+        window.updatePropertiesPanel();
     }
     
-    // Selection management
-    selectElement(element, type) {
-        this.selectedElement = { ...element, type: type };
-        this.canvas.selectElement(element, type);
-        window.selectedElement = this.selectedElement;
-        window.updatePropertiesPanel();
+    removeConnectionWaypoint(connectionId, index) {
+        const connection = this.findConnectionById(connectionId);
+        if (connection && connection.waypoints && connection.waypoints[index]) {
+            this.recordElementChange('connection', connection, ['waypoints'], 'remove bend point', () => {
+                connection.waypoints.splice(index, 1);
+                if (connection.waypoints.length === 0) delete connection.waypoints;
+            });
+            this.canvas.updateConnection(connection);
+            this.canvas.renderBendHandles(connection);
+            window.updatePropertiesPanel();
+        }
     }
     
-    clearSelection() {
-        this.selectedElement = null;
-        this.canvas.clearSelection();
-        window.selectedElement = null;
-        window.updatePropertiesPanel();
+    resetConnectionWaypoints(connectionId) {
+        const connection = this.findConnectionById(connectionId);
+        if (connection && connection.waypoints) {
+            this.recordElementChange('connection', connection, ['waypoints'], 'reset bend points', () => {
+                delete connection.waypoints;
+            });
+            this.canvas.updateConnection(connection);
+            this.canvas.renderBendHandles(connection);
+        }
     }
     
-    // Data management
-    loadFromJSON(jsonData) {
-        try {
-            if (jsonData.version && jsonData.flowcharts) {
-                this.data = jsonData;
-            } else {
-                // Legacy format or simple node array
-                this.data.flowcharts[0].nodes = jsonData.nodes || [];
-                this.data.flowcharts[0].connections = jsonData.connections || [];
-                this.data.flowcharts[0].questions = jsonData.questions || [];
-            }
-            
-            // Update ID counters
-            this.updateIdCounters();
-            
-            // Render everything
-            this.canvas.clear();
-            this.renderAll();
-            this.updateStats();
-            
-            // Update UI
-            if (this.data.description) {
-                document.getElementById('flowchart-description').value = this.data.description;
-            }
-            if (this.data.generalNotes) {
-                document.getElementById('general-notes').value = this.data.generalNotes;
-            }
-            
-        } catch (error) {
-            console.error('Error loading JSON data:', error);
-            if (typeof showNotification !== 'undefined') {
-                showNotification('Error loading flowchart data', 'error');
-            }
+    updateConnectionStatus(connectionId, status) {
+        const connection = this.findConnectionById(connectionId);
+        if (connection) {
+            this.recordElementChange('connection', connection, ['metadata'], 'change connection status', () => {
+                connection.metadata.status = status;
+            });
+            this.canvas.updateConnectionStatus(connection);
         }
     }
     
-    exportToJSON() {
-        this.data.timestamp = new Date().toISOString();
-        return JSON.parse(JSON.stringify(this.data)); // Deep clone
+    deleteConnection(connectionId) {
+        this.removeElements([], [connectionId], 'delete connection');
     }
     
-    updateDescription(description) {
-        this.data.description = description;
+    // Swimlanes and group containers
+    addContainer(type, x, y) {
+        const flowchart = this.getCurrentFlowchart();
+        const size = this.getDefaultContainerSize(type);
+        const laneCount = flowchart.containers.filter(c => c.type === 'swimlane').length;
+        const container = {
+            id: `container-${this.nextContainerId++}`,
+            type: type,
+            label: type === 'swimlane' ? `Lane ${laneCount + 1}` : 'Group',
+            x: x,
+            y: y,
+            width: size.width,
+            height: size.height
+        };
+        flowchart.containers.push(container);
+        
+        // Nodes the new container is drawn around join it
+        const memberships = flowchart.nodes
+            .map(node => ({ node, containerId: this.findContainerForNode(node)?.id }))
+            .filter(change => change.containerId !== change.node.containerId)
+            .map(change => {
+                const membership = { nodeId: change.node.id, with: change.containerId, without: change.node.containerId };
+                this.setNodeContainer(change.node, change.containerId);
+                return membership;
+            });
+        
+        this.history.record({
+            type: 'addElements',
+            label: `add ${type}`,
+            flowchartId: flowchart.id,
+            nodes: [],
+            connections: [],
+            containers: [{ index: flowchart.containers.length - 1, container: this.snapshot(container) }],
+            memberships: memberships
+        });
+        
+        this.canvas.renderContainer(container);
+        
+        // Track analytics
+        if (typeof window.trackEvent !== 'undefined') {
+            window.trackEvent('container_added', { type: type });
+        }
+        
+        return container;
     }
     
-    updateGeneralNotes(notes) {
-        this.data.generalNotes = notes;
+    updateContainerLabel(containerId, label) {
+        const container = this.findContainerById(containerId);
+        if (container) {
+            this.recordElementChange('container', container, ['label'], 'edit container label', () => {
+                container.label = label;
+            }, true);
+            this.canvas.updateContainer(container);
+        }
     }
     
-    // Utility methods
-    getCurrentFlowchart() {
-        return this.data.flowcharts[0]; // For now, always use the first flowchart
+    updateContainerType(containerId, type) {
+        const container = this.findContainerById(containerId);
+        if (container) {
+            this.recordElementChange('container', container, ['type'], 'change container type', () => {
+                container.type = type;
+            });
+            this.canvas.updateContainer(container);
+        }
     }
     
-    findNodeById(nodeId) {
-        return this.getCurrentFlowchart().nodes.find(n => n.id === nodeId);
+    /**
+     * Remove a container, leaving its nodes where they are
+     * @param {string} containerId - Container to delete
+     */
+    deleteContainer(containerId) {
+        this.removeElements([], [], 'delete container', [containerId]);
     }
     
-    findConnectionById(connectionId) {
-        return this.getCurrentFlowchart().connections.find(c => c.id === connectionId);
+    /**
+     * Move a node into a container (or out of all containers) without moving it on the canvas
+     * @param {string} nodeId - Node to update
+     * @param {string|null} containerId - Container to join, or null to leave
+     */
+    updateNodeContainer(nodeId, containerId) {
+        const node = this.findNodeById(nodeId);
+        if (node) {
+            this.recordElementChange('node', node, ['containerId'], 'change node container', () => {
+                this.setNodeContainer(node, containerId);
+            });
+        }
     }
     
-    updateIdCounters() {
-        const flowchart = this.getCurrentFlowchart();
+    setNodeContainer(node, containerId) {
+        if (containerId) {
+            node.containerId = containerId;
+        } else {
+            delete node.containerId;
+        }
+    }
+    
+    /**
+     * The innermost container holding a node's centre
+     * @param {Object} node - Node to place
+     * @param {Array} containers - Candidates (defaults to the active flowchart's containers)
+     * @returns {Object|undefined} Smallest container containing the node, if any
+     */
+    findContainerForNode(node, containers = this.getCurrentFlowchart().containers) {
+        const centerX = node.x + node.width / 2;
+        const centerY = node.y + node.height / 2;
         
-        // Update node ID counter
-        const nodeIds = flowchart.nodes.map(n => {
-            const match = n.id.match(/node-(\d+)/);
-            return match ? parseInt(match[1]) : 0;
-        });
-        this.nextNodeId = Math.max(0, ...nodeIds) + 1;
+        return containers
+            .filter(c => centerX >= c.x && centerX <= c.x + c.width && centerY >= c.y && centerY <= c.y + c.height)
+            .sort((a, b) => a.width * a.height - b.width * b.height)[0];
+    }
+    
+    getContainerMembers(containerId) {
+        return this.getCurrentFlowchart().nodes.filter(node => node.containerId === containerId);
+    }
+    
+    startContainerDrag(container) {
+        // Groups drawn inside a swimlane travel with it, along with their own members
+        const nested = this.getCurrentFlowchart().containers.filter(other => other !== container &&
+            other.x >= container.x && other.y >= container.y &&
+            other.x + other.width <= container.x + container.width &&
+            other.y + other.height <= container.y + container.height);
+        const containerIds = [container.id, ...nested.map(other => other.id)];
+        
+        this.containerDragOrigin = {
+            containerId: container.id,
+            x: container.x,
+            y: container.y,
+            width: container.width,
+            height: container.height,
+            nested: nested.map(other => ({ id: other.id, x: other.x, y: other.y })),
+            members: this.getCurrentFlowchart().nodes
+                .filter(node => containerIds.includes(node.containerId))
+                .map(node => ({ id: node.id, x: node.x, y: node.y }))
+        };
+    }
+    
+    dragContainer(container) {
+        const origin = this.containerDragOrigin;
+        if (!origin) return;
         
-        // Update connection ID counter
-        const connectionIds = flowchart.connections.map(c => {
-            const match = c.id.match(/conn-(\d+)/);
-            return match ? parseInt(match[1]) : 0;
+        // Members travel with their container
+        const dx = container.x - origin.x;
+        const dy = container.y - origin.y;
+        origin.members.forEach(start => {
+            const node = this.findNodeById(start.id);
+            if (node) {
+                node.x = start.x + dx;
+                node.y = start.y + dy;
+                this.canvas.updateNodePosition(node);
+            }
         });
-        this.nextConnectionId = Math.max(0, ...connectionIds) + 1;
-        
-        // Update question ID counter
-        const questionIds = flowchart.questions.map(q => {
-            const match = q.id.match(/q-(\d+)/);
-            return match ? parseInt(match[1]) : 0;
+        origin.nested.forEach(start => {
+            const other = this.findContainerById(start.id);
+            if (other) {
+                other.x = start.x + dx;
+                other.y = start.y + dy;
+                this.canvas.updateContainerPosition(other);
+            }
         });
-        this.nextQuestionId = Math.max(0, ...questionIds) + 1;
     }
     
-    renderAll() {
+    endContainerDrag(container, label) {
+        const origin = this.containerDragOrigin;
+        this.containerDragOrigin = null;
+        if (!origin) return;
+        
+        const resized = origin.width !== container.width || origin.height !== container.height;
+        if (!resized && origin.x === container.x && origin.y === container.y) return;
+        
         const flowchart = this.getCurrentFlowchart();
+        const fields = ['x', 'y', 'width', 'height', 'containerId'];
+        const changes = [{
+            flowchartId: flowchart.id,
+            collection: 'containers',
+            id: container.id,
+            before: this.pickFields(origin, fields),
+            after: this.pickFields(container, fields)
+        }];
+        
+        origin.nested.forEach(start => {
+            const other = this.findContainerById(start.id);
+            if (other) {
+                changes.push({
+                    flowchartId: flowchart.id,
+                    collection: 'containers',
+                    id: other.id,
+                    before: { ...this.pickFields(other, fields), x: start.x, y: start.y },
+                    after: this.pickFields(other, fields)
+                });
+            }
+        });
         
-        // Render all nodes
-        flowchart.nodes.forEach(node => {
-            this.canvas.renderNode(node);
+        origin.members.forEach(start => {
+            const node = this.findNodeById(start.id);
+            if (node) {
+                changes.push({
+                    flowchartId: flowchart.id,
+                    collection: 'nodes',
+                    id: node.id,
+                    before: { ...this.pickFields(node, fields), x: start.x, y: start.y },
+                    after: this.pickFields(node, fields)
+                });
+            }
         });
         
-        // Render all connections
-        flowchart.connections.forEach(connection => {
-            this.canvas.renderConnection(connection);
+        // Resizing can take in or leave out nodes
+        if (resized) {
+            flowchart.nodes.forEach(node => {
+                const containerId = this.findContainerForNode(node)?.id;
+                if (containerId === node.containerId) return;
+                
+                const before = this.pickFields(node, fields);
+                this.setNodeContainer(node, containerId);
+                const existing = changes.find(change => change.collection === 'nodes' && change.id === node.id);
+                if (existing) {
+                    existing.after = this.pickFields(node, fields);
+                } else {
+                    changes.push({ flowchartId: flowchart.id, collection: 'nodes', id: node.id, before, after: this.pickFields(node, fields) });
+                }
+            });
+        }
+        
+        this.history.record({
+            type: 'updateElements',
+            label: label,
+            flowchartId: flowchart.id,
+            fields: fields,
+            changes: changes
         });
         
-        // Render questions
-        this.updateQuestionsPanel();
+        this.canvas.updateAllConnections();
+        if (this.selectedElement) {
+            window.updatePropertiesPanel();
+        }
     }
     
-    updateStats() {
-        const flowchart = this.getCurrentFlowchart();
-        document.getElementById('node-count').textContent = `Nodes: ${flowchart.nodes.length}`;
-        document.getElementById('connection-count').textContent = `Connections: ${flowchart.connections.length}`;
+    // Selection management
+    selectElement(element, type) {
+        this.setSelection(
+            type === 'node' ? [element.id] : [],
+            type === 'connection' ? [element.id] : [],
+            type === 'container' ? [element.id] : []
+        );
     }
     
-    updateQuestionsPanel() {
-        const questionsContainer = document.getElementById('questions-list');
-        const flowchart = this.getCurrentFlowchart();
+    toggleElementSelection(element, type) {
+        const key = `${type}Ids`;
+        const selection = { ...this.selection };
+        selection[key] = selection[key].includes(element.id)
+            ? selection[key].filter(id => id !== element.id)
+            : [...selection[key], element.id];
         
-        if (flowchart.questions.length === 0) {
-            questionsContainer.innerHTML = '<p class="text-muted">No questions yet. Questions will appear here when imported from AI.</p>';
-            return;
+        this.setSelection(selection.nodeIds, selection.connectionIds, selection.containerIds);
+    }
+    
+    /**
+     * Replace the selection. The properties panel edits `selectedElement`,
+     * which is only set when a single element is selected.
+     * @param {Array} nodeIds - Node IDs to select
+     * @param {Array} connectionIds - Connection IDs to select
+     */
+    setSelection(nodeIds, connectionIds, containerIds = []) {
+        this.selection = {
+            nodeIds: [...new Set(nodeIds)].filter(id => this.findNodeById(id)),
+            connectionIds: [...new Set(connectionIds)].filter(id => this.findConnectionById(id)),
+            containerIds: [...new Set(containerIds)].filter(id => this.findContainerById(id))
+        };
+        this.canvas.setSelection(this.selection.nodeIds, this.selection.connectionIds, this.selection.containerIds);
+        
+        const { nodeIds: selectedNodes, connectionIds: selectedConnections, containerIds: selectedContainers } = this.selection;
+        if (this.getSelectionCount() !== 1) {
+            this.selectedElement = null;
+        } else if (selectedNodes.length) {
+            this.selectedElement = { ...this.findNodeById(selectedNodes[0]), type: 'node' };
+        } else if (selectedConnections.length) {
+            this.selectedElement = { ...this.findConnectionById(selectedConnections[0]), type: 'connection' };
+        } else {
+            this.selectedElement = { ...this.findContainerById(selectedContainers[0]), type: 'container' };
         }
         
-        questionsContainer.innerHTML = '';
-        flowchart.questions.forEach(question => {
-            const questionElement = this.createQuestionElement(question);
-            questionsContainer.appendChild(questionElement);
-        });
+        window.selectedElement = this.selectedElement;
+        window.updatePropertiesPanel();
     }
     
-    createQuestionElement(question) {
-        const div = document.createElement('div');
-        div.className = 'question-item';
+    clearSelection() {
+        this.setSelection([], [], []);
+    }
+    
+    selectAll() {
+        const flowchart = this.getCurrentFlowchart();
+        this.setSelection(
+            flowchart.nodes.map(n => n.id),
+            flowchart.connections.map(c => c.id),
+            flowchart.containers.map(c => c.id)
+        );
+    }
+    
+    /**
+     * Select nodes lying entirely inside a rectangle, plus the connections between them
+     * @param {Object} bounds - { minX, minY, maxX, maxY } in diagram coordinates
+     * @param {boolean} additive - Keep the existing selection
+     */
+    selectInBounds(bounds, additive = false) {
+        const flowchart = this.getCurrentFlowchart();
+        const isInside = item => item.x >= bounds.minX && item.y >= bounds.minY &&
+            item.x + item.width <= bounds.maxX && item.y + item.height <= bounds.maxY;
+        const inside = flowchart.nodes.filter(isInside).map(n => n.id);
+        const containersInside = flowchart.containers.filter(isInside).map(c => c.id);
+        const nodeIds = additive ? [...this.selection.nodeIds, ...inside] : inside;
+        const connectionIds = flowchart.connections
+            .filter(c => nodeIds.includes(c.from) && nodeIds.includes(c.to))
+            .map(c => c.id);
+        
+        this.setSelection(
+            nodeIds,
+            additive ? [...this.selection.connectionIds, ...connectionIds] : connectionIds,
+            additive ? [...this.selection.containerIds, ...containersInside] : containersInside
+        );
+    }
+    
+    getSelectedNodes() {
+        return this.selection.nodeIds.map(id => this.findNodeById(id)).filter(Boolean);
+    }
+    
+    getSelectedConnections() {
+        return this.selection.connectionIds.map(id => this.findConnectionById(id)).filter(Boolean);
+    }
+    
+    getSelectedContainers() {
+        return this.selection.containerIds.map(id => this.findContainerById(id)).filter(Boolean);
+    }
+    
+    getSelectionCount() {
+        return this.selection.nodeIds.length + this.selection.connectionIds.length + this.selection.containerIds.length;
+    }
+    
+    deleteSelection() {
+        const removed = this.removeElements(this.selection.nodeIds, this.selection.connectionIds,
+            `delete ${this.getSelectionCount()} elements`, this.selection.containerIds);
+        this.clearSelection();
+        return removed;
+    }
+    
+    updateSelectionStatus(status) {
+        const flowchart = this.getCurrentFlowchart();
+        const nodes = this.getSelectedNodes();
+        const connections = this.getSelectedConnections();
+        const entries = [
+            ...nodes.map(element => ({ flowchartId: flowchart.id, collection: 'nodes', element })),
+            ...connections.map(element => ({ flowchartId: flowchart.id, collection: 'connections', element }))
+        ];
+        if (entries.length === 0) return;
+        
+        this.recordElementsChange(`mark ${entries.length} elements ${status}`, ['metadata'], entries, () => {
+            entries.forEach(entry => {
+                entry.element.metadata.status = status;
+            });
+        });
+        
+        nodes.forEach(node => this.canvas.updateNodeStatus(node));
+        connections.forEach(connection => this.canvas.updateConnectionStatus(connection));
+    }
+    
+    // Clipboard
+    /**
+     * Copy the selected nodes, with connections whose ends are both selected
+     * @returns {Object|null} Clipboard payload, or null if nothing is selected
+     */
+    copySelection() {
+        const nodes = this.getSelectedNodes();
+        if (nodes.length === 0) return null;
+        
+        const nodeIds = new Set(nodes.map(n => n.id));
+        const connections = this.getCurrentFlowchart().connections
+            .filter(c => nodeIds.has(c.from) && nodeIds.has(c.to));
+        
+        return {
+            format: 'flowchart-collaborator/selection',
+            version: 1,
+            nodes: this.snapshot(nodes),
+            connections: this.snapshot(connections)
+        };
+    }
+    
+    static parseClipboard(text) {
+        try {
+            const payload = JSON.parse(text);
+            return payload && payload.format === 'flowchart-collaborator/selection' && Array.isArray(payload.nodes)
+                ? payload
+                : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Paste copied elements into the active flowchart with fresh IDs.
+     * Pasting where the originals sit offsets the copies so they stay visible.
+     * @param {Object} payload - Result of copySelection(), possibly from another tab
+     * @returns {number} Number of nodes pasted
+     */
+    pasteElements(payload) {
+        const flowchart = this.getCurrentFlowchart();
+        const overlaps = offset => payload.nodes.some(pasted =>
+            flowchart.nodes.some(n => n.x === pasted.x + offset && n.y === pasted.y + offset));
+        
+        let offset = 0;
+        while (overlaps(offset)) {
+            offset += 30;
+        }
+        
+        const nodeIdMap = {};
+        const nodes = payload.nodes.map(source => {
+            const node = this.snapshot(source);
+            node.id = `node-${this.nextNodeId++}`;
+            nodeIdMap[source.id] = node.id;
+            node.x = (Number(source.x) || 0) + offset;
+            node.y = (Number(source.y) || 0) + offset;
+            if (node.link && !this.getLinkedNode(node.link)) {
+                delete node.link;
+            }
+            this.normalizeNode(node);
+            this.setNodeContainer(node, this.findContainerForNode(node)?.id);
+            return node;
+        });
+        
+        const connections = (payload.connections || [])
+            .filter(source => nodeIdMap[source.from] && nodeIdMap[source.to])
+            .map(source => {
+                const connection = this.snapshot(source);
+                connection.id = `conn-${this.nextConnectionId++}`;
+                connection.from = nodeIdMap[source.from];
+                connection.to = nodeIdMap[source.to];
+                if (connection.waypoints) {
+                    connection.waypoints = connection.waypoints.map(p => ({ x: p.x + offset, y: p.y + offset }));
+                }
+                this.normalizeConnection(connection);
+                return connection;
+            });
+        
+        const nodeEntries = nodes.map(node => ({ index: flowchart.nodes.push(node) - 1, node: this.snapshot(node) }));
+        const connectionEntries = connections.map(connection => ({
+            index: flowchart.connections.push(connection) - 1,
+            connection: this.snapshot(connection)
+        }));
+        
+        this.history.record({
+            type: 'addElements',
+            label: `paste ${nodes.length} node${nodes.length === 1 ? '' : 's'}`,
+            flowchartId: flowchart.id,
+            nodes: nodeEntries,
+            connections: connectionEntries
+        });
+        
+        nodes.forEach(node => this.canvas.renderNode(node));
+        connections.forEach(connection => this.canvas.renderConnection(connection));
+        this.updateStats();
+        this.setSelection(nodes.map(n => n.id), connections.map(c => c.id));
+        
+        return nodes.length;
+    }
+    
+    /**
+     * Replace the document, or the active flowchart's contents, with loaded data
+     * @param {Object} jsonData - A full document or a { nodes, connections, ... } flowchart
+     * @param {Object} options - recordHistory, historyLabel, and layoutDirection for placing nodes without coordinates
+     * @returns {number} Number of nodes that were placed automatically
+     */
+    loadFromJSON(jsonData, options = {}) {
+        const { recordHistory = true, historyLabel = 'import', layoutDirection = 'TB' } = options;
+        const before = this.getDocumentSnapshot();
+        
+        try {
+            if (jsonData.version && jsonData.flowcharts) {
+                this.data = jsonData;
+                this.data.flowcharts.forEach(flowchart => {
+                    flowchart.nodes = flowchart.nodes || [];
+                    flowchart.connections = flowchart.connections || [];
+                    flowchart.questions = flowchart.questions || [];
+                    flowchart.walkthroughs = flowchart.walkthroughs || [];
+                    flowchart.containers = flowchart.containers || [];
+                });
+                this.activeFlowchartId = this.findFlowchartById(jsonData.activeFlowchartId)
+                    ? jsonData.activeFlowchartId
+                    : this.data.flowcharts[0].id;
+                delete this.data.activeFlowchartId;
+            } else {
+                // Legacy format or simple node array - load into the active flowchart
+                const flowchart = this.getCurrentFlowchart();
+                flowchart.nodes = jsonData.nodes || [];
+                flowchart.connections = jsonData.connections || [];
+                flowchart.questions = jsonData.questions || [];
+                flowchart.walkthroughs = jsonData.walkthroughs || [];
+                flowchart.containers = jsonData.containers || [];
+            }
+            
+            // Update ID counters and fill in anything an AI response left out
+            this.updateIdCounters();
+            this.data.flowcharts.forEach(flowchart => {
+                flowchart.nodes.forEach(node => this.normalizeNode(node));
+                flowchart.connections.forEach(connection => this.normalizeConnection(connection));
+                flowchart.containers.forEach(container => this.normalizeContainer(container));
+                flowchart.questions.forEach(question => this.normalizeQuestion(question));
+            });
+            
+            // AI responses and Mermaid diagrams leave out coordinates - place those nodes as part of the same load
+            const placed = this.placeUnpositionedNodes(layoutDirection);
+            
+            // Render everything
+            this.mergeReview.stop();
+            this.canvas.clear();
+            this.clearSelection();
+            this.renderAll();
+            this.updateStats();
+            this.updateFlowchartTabs();
+            
+            if (recordHistory) {
+                this.history.record({
+                    type: 'document',
+                    label: historyLabel,
+                    before: before,
+                    after: this.getDocumentSnapshot()
+                });
+            }
+            
+            // Update UI
+            if (this.data.description) {
+                document.getElementById('flowchart-description').value = this.data.description;
+            }
+            if (this.data.generalNotes) {
+                document.getElementById('general-notes').value = this.data.generalNotes;
+            }
+            
+            return placed;
+        } catch (error) {
+            console.error('Error loading JSON data:', error);
+            if (typeof showNotification !== 'undefined') {
+                showNotification('Error loading flowchart data', 'error');
+            }
+            return 0;
+        }
+    }
+    
+    // Gives every node without coordinates a place in its flowchart, without recording or rendering it
+    placeUnpositionedNodes(direction = 'TB') {
+        const layout = new FlowchartLayout({ direction });
+        let placed = 0;
+        
+        this.data.flowcharts.forEach(flowchart => {
+            const positions = layout.layoutUnpositioned(flowchart.nodes, flowchart.connections);
+            flowchart.nodes.forEach(node => {
+                if (positions[node.id]) {
+                    node.x = positions[node.id].x;
+                    node.y = positions[node.id].y;
+                    placed++;
+                }
+            });
+        });
+        
+        return placed;
+    }
+    
+    normalizeNode(node) {
+        node.id = node.id || `node-${this.nextNodeId++}`;
+        node.type = node.type || 'process';
+        node.text = node.text ?? this.getDefaultNodeText(node.type);
+        
+        // Missing or non-numeric coordinates are left unset for auto layout to place
+        ['x', 'y'].forEach(axis => {
+            const value = parseFloat(node[axis]);
+            if (Number.isFinite(value)) {
+                node[axis] = value;
+            } else {
+                delete node[axis];
+            }
+        });
+        
+        const size = this.getDefaultNodeSize(node.type);
+        node.width = Number(node.width) || size.width;
+        node.height = Number(node.height) || size.height;
+        node.style = {
+            ...FlowchartNodeStyle.getDefaultStyle(this.getDefaultNodeColor(node.type)),
+            ...node.style
+        };
+        node.metadata = {
+            category: 'core',
+            priority: 'medium',
+            status: 'pending',
+            note: '',
+            ...node.metadata
+        };
+        this.fields.normalizeProperties(node.metadata);
+        this.fitNodeToText(node);
+    }
+    
+    normalizeConnection(connection) {
+        connection.id = connection.id || `conn-${this.nextConnectionId++}`;
+        connection.label = connection.label || '';
+        connection.style = connection.style || 'solid';
+        connection.routing = ['straight', 'orthogonal', 'curved'].includes(connection.routing) ? connection.routing : 'curved';
+        if (connection.waypoints !== undefined) {
+            const waypoints = Array.isArray(connection.waypoints)
+                ? connection.waypoints.filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y)).map(p => ({ x: p.x, y: p.y }))
+                : [];
+            if (waypoints.length) {
+                connection.waypoints = waypoints;
+            } else {
+                delete connection.waypoints;
+            }
+        }
+        connection.metadata = {
+            status: 'pending',
+            note: '',
+            ...connection.metadata
+        };
+    }
+    
+    normalizeContainer(container) {
+        container.id = container.id || `container-${this.nextContainerId++}`;
+        container.type = container.type === 'group' ? 'group' : 'swimlane';
+        container.label = container.label ?? '';
+        
+        const size = this.getDefaultContainerSize(container.type);
+        container.x = parseFloat(container.x) || 0;
+        container.y = parseFloat(container.y) || 0;
+        container.width = Number(container.width) || size.width;
+        container.height = Number(container.height) || size.height;
+    }
+    
+    exportToJSON() {
+        this.data.timestamp = new Date().toISOString();
+        const exportData = JSON.parse(JSON.stringify(this.data)); // Deep clone
+        exportData.activeFlowchartId = this.getCurrentFlowchart().id;
+        return exportData;
+    }
+    
+    /**
+     * Replace the active flowchart with a pasted Mermaid diagram.
+     * Mermaid has no coordinates, so the caller lays the nodes out afterwards.
+     * @param {string} text - Mermaid flowchart source
+     * @returns {Object} Parsed diagram, including its direction (TB or LR)
+     */
+    /**
+     * Load a Mermaid diagram into the active flowchart, laid out in the diagram's direction
+     * @returns {Object} The parsed diagram, with placed - the number of nodes laid out automatically
+     */
+    loadFromMermaid(text) {
+        const diagram = FlowchartMermaid.parse(text);
+        const placed = this.loadFromJSON({
+            nodes: diagram.nodes,
+            connections: diagram.connections
+        }, { layoutDirection: diagram.direction });
+        return { ...diagram, placed };
+    }
+    
+    exportToMermaid(direction = 'TB') {
+        return FlowchartMermaid.serialize(this.getCurrentFlowchart(), direction === 'LR' ? 'LR' : 'TD');
+    }
+    
+    exportToSVG(options = {}) {
+        return new FlowchartImageExport(this.canvas).toSvgString(this.getDiagramElements(), options);
+    }
+    
+    exportToPNG(options = {}) {
+        return new FlowchartImageExport(this.canvas).toPngBlob(this.getDiagramElements(), options);
+    }
+    
+    // Everything with a box on the canvas, for working out the diagram's extent
+    getDiagramElements() {
+        const flowchart = this.getCurrentFlowchart();
+        return [...flowchart.containers, ...flowchart.nodes];
+    }
+    
+    updateDescription(description) {
+        this.recordDocumentFieldChange('description', description, 'edit description');
+    }
+    
+    updateGeneralNotes(notes) {
+        this.recordDocumentFieldChange('generalNotes', notes, 'edit general notes');
+    }
+    
+    // Walkthrough paths
+    saveWalkthrough(name, steps) {
+        const flowchart = this.getCurrentFlowchart();
+        
+        return this.recordDocumentChange('save walkthrough', () => {
+            const path = {
+                id: `walk-${this.getNextIdNumber(flowchart.walkthroughs, /^walk-(\d+)$/)}`,
+                name: name,
+                timestamp: new Date().toISOString(),
+                steps: this.snapshot(steps)
+            };
+            flowchart.walkthroughs.push(path);
+            return path;
+        });
+    }
+    
+    deleteWalkthrough(pathId) {
+        const flowchart = this.getCurrentFlowchart();
+        if (!flowchart.walkthroughs.some(path => path.id === pathId)) return;
+        
+        this.recordDocumentChange('delete walkthrough', () => {
+            flowchart.walkthroughs = flowchart.walkthroughs.filter(path => path.id !== pathId);
+        });
+    }
+    
+    // Flowchart (tab) management
+    createFlowchart(title) {
+        return {
+            id: `flowchart-${this.nextFlowchartId++}`,
+            title: title,
+            description: '',
+            nodes: [],
+            connections: [],
+            questions: [],
+            walkthroughs: [],
+            containers: []
+        };
+    }
+    
+    addFlowchart(title = `Sub-process ${this.data.flowcharts.length}`) {
+        const flowchart = this.recordDocumentChange('add flowchart', () => {
+            const created = this.createFlowchart(title);
+            this.data.flowcharts.push(created);
+            this.switchFlowchart(created.id);
+            return created;
+        });
+        
+        // Track analytics
+        if (typeof window.trackEvent !== 'undefined') {
+            window.trackEvent('flowchart_added', { count: this.data.flowcharts.length });
+        }
+        
+        return flowchart;
+    }
+    
+    switchFlowchart(flowchartId) {
+        const flowchart = this.findFlowchartById(flowchartId);
+        if (!flowchart) return null;
+        
+        this.activeFlowchartId = flowchart.id;
+        this.connectionInProgress = null;
+        this.walkthrough.stop();
+        this.canvas.endConnectionDraw();
+        this.canvas.clear();
+        this.clearSelection();
+        this.renderAll();
+        this.updateStats();
+        this.updateFlowchartTabs();
+        
+        if (this.mergeReview.active) {
+            this.mergeReview.render();
+        }
+        
+        return flowchart;
+    }
+    
+    renameFlowchart(flowchartId, title) {
+        const flowchart = this.findFlowchartById(flowchartId);
+        if (flowchart) {
+            this.recordDocumentChange('rename flowchart', () => {
+                flowchart.title = title;
+            });
+            this.updateFlowchartTabs();
+        }
+    }
+    
+    moveFlowchart(flowchartId, toIndex) {
+        const flowcharts = this.data.flowcharts;
+        const fromIndex = flowcharts.findIndex(f => f.id === flowchartId);
+        if (fromIndex === -1) return;
+        
+        const targetIndex = Math.max(0, Math.min(flowcharts.length - 1, toIndex));
+        if (targetIndex === fromIndex) return;
+        
+        this.recordDocumentChange('reorder flowcharts', () => {
+            const [flowchart] = flowcharts.splice(fromIndex, 1);
+            flowcharts.splice(targetIndex, 0, flowchart);
+        });
+        this.updateFlowchartTabs();
+    }
+    
+    duplicateFlowchart(flowchartId) {
+        const source = this.findFlowchartById(flowchartId);
+        if (!source) return null;
+        
+        return this.recordDocumentChange('duplicate flowchart', () => this.insertFlowchartCopy(source));
+    }
+    
+    insertFlowchartCopy(source) {
+        const copy = JSON.parse(JSON.stringify(source));
+        copy.id = `flowchart-${this.nextFlowchartId++}`;
+        copy.title = `${source.title} (copy)`;
+        
+        // Give every element a fresh ID so links and connections stay unambiguous
+        const nodeIdMap = {};
+        const connectionIdMap = {};
+        copy.nodes.forEach(node => {
+            nodeIdMap[node.id] = `node-${this.nextNodeId++}`;
+            node.id = nodeIdMap[node.id];
+        });
+        copy.connections.forEach(connection => {
+            connectionIdMap[connection.id] = `conn-${this.nextConnectionId++}`;
+            connection.id = connectionIdMap[connection.id];
+            connection.from = nodeIdMap[connection.from] || connection.from;
+            connection.to = nodeIdMap[connection.to] || connection.to;
+        });
+        copy.questions.forEach(question => {
+            question.id = `q-${this.nextQuestionId++}`;
+            if (question.attachedTo) {
+                const idMap = question.attachedTo.type === 'node' ? nodeIdMap : connectionIdMap;
+                question.attachedTo.id = idMap[question.attachedTo.id] || question.attachedTo.id;
+            }
+        });
+        const containerIdMap = {};
+        copy.containers.forEach(container => {
+            containerIdMap[container.id] = `container-${this.nextContainerId++}`;
+            container.id = containerIdMap[container.id];
+        });
+        copy.nodes.forEach(node => {
+            if (node.containerId) {
+                node.containerId = containerIdMap[node.containerId];
+            }
+        });
+        copy.walkthroughs.forEach(path => {
+            path.steps.forEach(step => {
+                step.nodeId = nodeIdMap[step.nodeId] || step.nodeId;
+                step.connectionId = connectionIdMap[step.connectionId] || step.connectionId;
+            });
+        });
+        copy.nodes.forEach(node => {
+            if (node.link && node.link.flowchartId === source.id) {
+                node.link = {
+                    flowchartId: copy.id,
+                    nodeId: nodeIdMap[node.link.nodeId] || node.link.nodeId
+                };
+            }
+        });
+        
+        const sourceIndex = this.data.flowcharts.indexOf(source);
+        this.data.flowcharts.splice(sourceIndex + 1, 0, copy);
+        this.switchFlowchart(copy.id);
+        
+        return copy;
+    }
+    
+    deleteFlowchart(flowchartId) {
+        const flowcharts = this.data.flowcharts;
+        const index = flowcharts.findIndex(f => f.id === flowchartId);
+        if (index === -1 || flowcharts.length === 1) return false;
+        
+        this.recordDocumentChange('delete flowchart', () => {
+            flowcharts.splice(index, 1);
+            
+            // Drop connector links that pointed into the deleted flowchart
+            flowcharts.forEach(flowchart => {
+                flowchart.nodes.forEach(node => {
+                    if (node.link && node.link.flowchartId === flowchartId) {
+                        delete node.link;
+                    }
+                });
+            });
+            
+            if (this.activeFlowchartId === flowchartId) {
+                this.switchFlowchart(flowcharts[Math.max(0, index - 1)].id);
+            } else {
+                this.updateFlowchartTabs();
+            }
+        });
+        
+        return true;
+    }
+    
+    updateFlowchartTabs() {
+        const tabList = document.getElementById('flowchart-tab-list');
+        if (!tabList) return;
+        
+        const current = this.getCurrentFlowchart();
+        tabList.innerHTML = '';
+        
+        this.data.flowcharts.forEach((flowchart, index) => {
+            const tab = document.createElement('button');
+            tab.className = `flowchart-tab${flowchart === current ? ' active' : ''}`;
+            tab.textContent = flowchart.title || `Flowchart ${index + 1}`;
+            tab.title = 'Click to open, double-click to rename, drag to reorder';
+            tab.draggable = true;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(flowchart === current));
+            
+            tab.addEventListener('click', () => {
+                if (flowchart !== this.getCurrentFlowchart()) {
+                    this.switchFlowchart(flowchart.id);
+                    window.saveToLocalStorage();
+                }
+            });
+            
+            tab.addEventListener('dblclick', () => {
+                window.renameFlowchart(flowchart.id);
+            });
+            
+            // Drag to reorder
+            tab.addEventListener('dragstart', (event) => {
+                event.dataTransfer.setData('text/plain', flowchart.id);
+                event.dataTransfer.effectAllowed = 'move';
+            });
+            
+            tab.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                event.dataTransfer.dropEffect = 'move';
+            });
+            
+            tab.addEventListener('drop', (event) => {
+                event.preventDefault();
+                const draggedId = event.dataTransfer.getData('text/plain');
+                if (draggedId && draggedId !== flowchart.id) {
+                    this.moveFlowchart(draggedId, this.data.flowcharts.indexOf(flowchart));
+                    window.saveToLocalStorage();
+                }
+            });
+            
+            tabList.appendChild(tab);
+        });
+    }
+    
+    // Node size and style
+    /**
+     * Grow a node so its wrapped text fits. Nodes are never shrunk automatically.
+     * @param {Object} node - Node to fit
+     * @param {boolean} allowWiden - Also widen narrow shapes; off after a manual resize so the chosen width stays
+     * @returns {boolean} True if the size changed
+     */
+    fitNodeToText(node, allowWiden = true) {
+        const nodeStyle = this.canvas.nodeStyle;
+        const height = nodeStyle.getFitHeight(node);
+        if (height <= node.height) return false;
+        
+        const size = allowWiden ? nodeStyle.getFitSize(node) : { width: node.width, height };
+        node.width = Math.max(node.width, size.width);
+        node.height = size.height;
+        return true;
+    }
+    
+    startNodeResize(node) {
+        this.resizeOrigin = { nodeId: node.id, ...this.pickFields(node, ['width', 'height', 'containerId']) };
+    }
+    
+    endNodeResize(node) {
+        const origin = this.resizeOrigin;
+        this.resizeOrigin = null;
+        if (!origin || origin.nodeId !== node.id) return;
+        
+        this.fitNodeToText(node, false);
+        this.setNodeContainer(node, this.findContainerForNode(node)?.id);
+        if (origin.width === node.width && origin.height === node.height) return;
+        
+        const fields = ['width', 'height', 'containerId'];
+        this.history.record({
+            type: 'updateNode',
+            label: 'resize node',
+            flowchartId: this.getCurrentFlowchart().id,
+            elementId: node.id,
+            fields: fields,
+            before: this.pickFields(origin, fields),
+            after: this.pickFields(node, fields)
+        });
+        
+        this.canvas.redrawNode(node);
+        this.canvas.updateAllConnections();
+    }
+    
+    /**
+     * Change part of a node's style
+     * @param {string} nodeId - Node to restyle
+     * @param {Object} changes - Style properties to set, e.g. { backgroundColor: '#fff' }
+     */
+    updateNodeStyle(nodeId, changes) {
+        const node = this.findNodeById(nodeId);
+        if (node) {
+            this.recordElementChange('node', node, ['style', 'width', 'height'], 'change node style', () => {
+                Object.assign(node.style, changes);
+                this.fitNodeToText(node);
+            }, true);
+            this.canvas.updateNode(node);
+        }
+    }
+    
+    resetNodeStyle(nodeId) {
+        const node = this.findNodeById(nodeId);
+        if (node) {
+            this.recordElementChange('node', node, ['style', 'width', 'height'], 'reset node style', () => {
+                node.style = FlowchartNodeStyle.getDefaultStyle(this.getDefaultNodeColor(node.type));
+                this.fitNodeToText(node);
+            });
+            this.canvas.updateNode(node);
+        }
+    }
+    
+    /**
+     * Apply a style (usually a saved palette) to every node of a type in the document
+     * @param {string} type - Node type to restyle
+     * @param {Object} style - Style properties to set
+     * @returns {number} Number of nodes restyled
+     */
+    applyStyleToType(type, style) {
+        const entries = this.data.flowcharts.flatMap(flowchart => flowchart.nodes
+            .filter(node => node.type === type)
+            .map(node => ({ flowchartId: flowchart.id, collection: 'nodes', element: node })));
+        if (entries.length === 0) return 0;
+        
+        this.recordElementsChange(`style ${entries.length} ${type} node${entries.length === 1 ? '' : 's'}`, ['style', 'width', 'height'], entries, () => {
+            entries.forEach(({ element }) => {
+                Object.assign(element.style, this.snapshot(style));
+                this.fitNodeToText(element);
+            });
+        });
+        
+        this.getCurrentFlowchart().nodes
+            .filter(node => node.type === type)
+            .forEach(node => this.canvas.updateNode(node));
+        
+        return entries.length;
+    }
+    
+    // Cross-flowchart links: connectors jump to a node, subprocesses open a whole flowchart
+    canLinkNode(node) {
+        return node.type === 'connector' || node.type === 'subprocess';
+    }
+    
+    setNodeLink(nodeId, flowchartId, targetNodeId) {
+        const node = this.findNodeById(nodeId);
+        if (!node) return;
+        
+        this.recordElementChange('node', node, ['link'], 'link node', () => {
+            if (flowchartId && targetNodeId) {
+                node.link = { flowchartId: flowchartId, nodeId: targetNodeId };
+            } else if (flowchartId) {
+                node.link = { flowchartId: flowchartId };
+            } else {
+                delete node.link;
+            }
+        });
+        this.canvas.updateNode(node);
+    }
+    
+    /**
+     * Create a flowchart for a subprocess node to open, named after the node
+     * @param {string} nodeId - Subprocess node
+     * @returns {Object|null} The new flowchart
+     */
+    createSubprocessFlowchart(nodeId) {
+        const node = this.findNodeById(nodeId);
+        if (!node) return null;
+        
+        return this.recordDocumentChange('create subprocess flowchart', () => {
+            const created = this.createFlowchart(node.text.replace(/\s+/g, ' ').trim() || `Sub-process ${this.data.flowcharts.length}`);
+            this.data.flowcharts.push(created);
+            node.link = { flowchartId: created.id };
+            this.switchFlowchart(created.id);
+            return created;
+        });
+    }
+    
+    /**
+     * Resolve a link to its flowchart and, for node links, the target node
+     * @returns {Object|null} { flowchart, node } - node is null for links to a whole flowchart
+     */
+    getLinkedNode(link) {
+        const flowchart = link && this.findFlowchartById(link.flowchartId);
+        if (!flowchart) return null;
+        if (!link.nodeId) return { flowchart, node: null };
+        
+        const node = flowchart.nodes.find(n => n.id === link.nodeId);
+        return node ? { flowchart, node } : null;
+    }
+    
+    followNodeLink(node) {
+        const target = this.getLinkedNode(node.link);
+        if (!target) {
+            if (typeof showNotification !== 'undefined') {
+                showNotification(node.link.nodeId ? 'The linked node no longer exists' : 'The linked flowchart no longer exists', 'warning');
+            }
+            return false;
+        }
+        
+        if (target.flowchart !== this.getCurrentFlowchart()) {
+            this.switchFlowchart(target.flowchart.id);
+            window.saveToLocalStorage();
+        }
+        if (!target.node) {
+            this.canvas.fitToScreen();
+            return true;
+        }
+        this.selectElement(target.node, 'node');
+        this.canvas.centerOnNode(target.node);
+        
+        return true;
+    }
+    
+    // Layout
+    getUnpositionedNodes(flowchart = this.getCurrentFlowchart()) {
+        return flowchart.nodes.filter(node => !FlowchartLayout.hasPosition(node));
+    }
+    
+    autoLayout(options = {}) {
+        const { direction = 'TB', onlyUnpositioned = false, allFlowcharts = false } = options;
+        const layout = new FlowchartLayout({ direction });
+        const flowcharts = allFlowcharts ? this.data.flowcharts : [this.getCurrentFlowchart()];
+        
+        const moves = [];
+        flowcharts.forEach(flowchart => {
+            const positions = onlyUnpositioned
+                ? layout.layoutUnpositioned(flowchart.nodes, flowchart.connections)
+                : layout.layout(flowchart.nodes, flowchart.connections);
+            
+            flowchart.nodes.forEach(node => {
+                if (positions[node.id]) {
+                    moves.push({ flowchartId: flowchart.id, node, position: positions[node.id] });
+                }
+            });
+        });
+        
+        if (moves.length === 0) return 0;
+        
+        this.recordElementsChange(
+            onlyUnpositioned ? 'place unpositioned nodes' : 'auto layout',
+            ['x', 'y'],
+            moves.map(move => ({ flowchartId: move.flowchartId, collection: 'nodes', element: move.node })),
+            () => {
+                moves.forEach(({ node, position }) => {
+                    node.x = position.x;
+                    node.y = position.y;
+                });
+            }
+        );
+        
+        this.canvas.clear();
+        this.clearSelection();
+        this.renderAll();
+        this.fitToScreen();
+        
+        // Track analytics
+        if (typeof window.trackEvent !== 'undefined') {
+            window.trackEvent('auto_layout', { direction: direction, onlyUnpositioned: onlyUnpositioned });
+        }
+        
+        return moves.length;
+    }
+    
+    // History
+    undo() {
+        return this.history.undo();
+    }
+    
+    redo() {
+        return this.history.redo();
+    }
+    
+    snapshot(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+    
+    pickFields(element, fields) {
+        const values = {};
+        fields.forEach(field => {
+            if (element[field] !== undefined) {
+                values[field] = this.snapshot(element[field]);
+            }
+        });
+        return values;
+    }
+    
+    getDocumentSnapshot() {
+        return {
+            data: this.snapshot(this.data),
+            activeFlowchartId: this.getCurrentFlowchart().id
+        };
+    }
+    
+    recordElementChange(elementType, element, fields, label, mutate, merge = false) {
+        const before = this.pickFields(element, fields);
+        mutate();
+        
+        this.history.record({
+            type: {
+                node: 'updateNode',
+                connection: 'updateConnection',
+                container: 'updateContainer',
+                question: 'updateQuestion'
+            }[elementType],
+            label: label,
+            flowchartId: this.getCurrentFlowchart().id,
+            elementId: element.id,
+            fields: fields,
+            before: before,
+            after: this.pickFields(element, fields),
+            mergeKey: merge ? `${elementType}:${element.id}:${fields.join(',')}` : null
+        });
+    }
+    
+    recordElementsChange(label, fields, entries, mutate) {
+        const changes = entries.map(entry => ({
+            flowchartId: entry.flowchartId,
+            collection: entry.collection,
+            id: entry.element.id,
+            before: this.pickFields(entry.element, fields)
+        }));
+        mutate();
+        changes.forEach((change, index) => {
+            change.after = this.pickFields(entries[index].element, fields);
+        });
+        
+        this.history.record({
+            type: 'updateElements',
+            label: label,
+            flowchartId: this.getCurrentFlowchart().id,
+            fields: fields,
+            changes: changes
+        });
+    }
+    
+    recordDocumentFieldChange(field, value, label) {
+        const before = this.pickFields(this.data, [field]);
+        this.data[field] = value;
+        
+        this.history.record({
+            type: 'updateDocument',
+            label: label,
+            fields: [field],
+            before: before,
+            after: this.pickFields(this.data, [field]),
+            mergeKey: `document:${field}`
+        });
+    }
+    
+    recordDocumentChange(label, mutate) {
+        const before = this.getDocumentSnapshot();
+        const result = mutate();
+        const after = this.getDocumentSnapshot();
+        
+        // A change that turned out to change nothing shouldn't take an undo step
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            this.history.record({
+                type: 'document',
+                label: label,
+                before: before,
+                after: after
+            });
+        }
+        
+        return result;
+    }
+    
+    applyFields(target, fields, values) {
+        fields.forEach(field => {
+            if (field in values) {
+                target[field] = this.snapshot(values[field]);
+            } else {
+                delete target[field];
+            }
+        });
+    }
+    
+    applyHistoryCommand(command, direction) {
+        const undoing = direction === 'undo';
+        
+        if (command.type === 'document') {
+            const snapshot = this.snapshot(undoing ? command.before : command.after);
+            this.data = snapshot.data;
+            this.activeFlowchartId = snapshot.activeFlowchartId;
+            this.updateIdCounters();
+            this.refreshAfterHistory();
+            return;
+        }
+        
+        if (command.type === 'updateDocument') {
+            this.applyFields(this.data, command.fields, undoing ? command.before : command.after);
+            this.refreshAfterHistory();
+            return;
+        }
+        
+        if (command.type === 'updateElements') {
+            command.changes.forEach(change => {
+                const flowchart = this.findFlowchartById(change.flowchartId);
+                const element = flowchart && flowchart[change.collection].find(e => e.id === change.id);
+                if (element) {
+                    this.applyFields(element, command.fields, undoing ? change.before : change.after);
+                }
+            });
+            this.refreshAfterHistory(command.flowchartId);
+            return;
+        }
+        
+        const flowchart = this.findFlowchartById(command.flowchartId);
+        if (!flowchart) return;
+        
+        switch (command.type) {
+            case 'addElements':
+            case 'removeElements': {
+                const removing = (command.type === 'addElements') === undoing;
+                const containerEntries = command.containers || [];
+                const questionEntries = command.questions || [];
+                if (removing) {
+                    const nodeIds = command.nodes.map(entry => entry.node.id);
+                    const connectionIds = command.connections.map(entry => entry.connection.id);
+                    const containerIds = containerEntries.map(entry => entry.container.id);
+                    const questionIds = questionEntries.map(entry => entry.question.id);
+                    flowchart.nodes = flowchart.nodes.filter(n => !nodeIds.includes(n.id));
+                    flowchart.connections = flowchart.connections.filter(c => !connectionIds.includes(c.id));
+                    flowchart.containers = flowchart.containers.filter(c => !containerIds.includes(c.id));
+                    flowchart.questions = flowchart.questions.filter(q => !questionIds.includes(q.id));
+                } else {
+                    // Entries are stored in ascending index order, so re-inserting restores the original order
+                    command.nodes.forEach(entry => {
+                        flowchart.nodes.splice(entry.index, 0, this.snapshot(entry.node));
+                    });
+                    command.connections.forEach(entry => {
+                        flowchart.connections.splice(entry.index, 0, this.snapshot(entry.connection));
+                    });
+                    containerEntries.forEach(entry => {
+                        flowchart.containers.splice(entry.index, 0, this.snapshot(entry.container));
+                    });
+                    questionEntries.forEach(entry => {
+                        flowchart.questions.splice(entry.index, 0, this.snapshot(entry.question));
+                    });
+                }
+                
+                // Nodes that joined or left a container because it was added or removed
+                (command.memberships || []).forEach(membership => {
+                    const node = flowchart.nodes.find(n => n.id === membership.nodeId);
+                    const containerId = removing ? membership.without : membership.with;
+                    if (!node) return;
+                    if (containerId) {
+                        node.containerId = containerId;
+                    } else {
+                        delete node.containerId;
+                    }
+                });
+                break;
+            }
+            
+            case 'updateNode':
+            case 'updateConnection':
+            case 'updateContainer':
+            case 'updateQuestion': {
+                const elements = {
+                    updateNode: flowchart.nodes,
+                    updateConnection: flowchart.connections,
+                    updateContainer: flowchart.containers,
+                    updateQuestion: flowchart.questions
+                }[command.type];
+                const element = elements.find(e => e.id === command.elementId);
+                if (element) {
+                    this.applyFields(element, command.fields, undoing ? command.before : command.after);
+                }
+                break;
+            }
+            
+            case 'replaceFlowchart': {
+                const contents = this.snapshot(undoing ? command.before : command.after);
+                flowchart.nodes = contents.nodes;
+                flowchart.connections = contents.connections;
+                flowchart.questions = contents.questions;
+                flowchart.containers = contents.containers || [];
+                break;
+            }
+        }
+        
+        this.refreshAfterHistory(command.flowchartId);
+    }
+    
+    refreshAfterHistory(flowchartId = this.activeFlowchartId) {
+        this.switchFlowchart(this.findFlowchartById(flowchartId) ? flowchartId : this.getCurrentFlowchart().id);
+        document.getElementById('flowchart-description').value = this.data.description || '';
+        document.getElementById('general-notes').value = this.data.generalNotes || '';
+    }
+    
+    updateHistoryButtons() {
+        // Every recorded change, undo and redo passes through here
+        this.updateDocumentViews();
+        
+        const undoButton = document.getElementById('undo-btn');
+        const redoButton = document.getElementById('redo-btn');
+        if (!undoButton || !redoButton) return;
+        
+        const lastUndo = this.history.undoStack[this.history.undoStack.length - 1];
+        const lastRedo = this.history.redoStack[this.history.redoStack.length - 1];
+        
+        undoButton.disabled = !lastUndo;
+        undoButton.title = lastUndo ? `Undo ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+        redoButton.disabled = !lastRedo;
+        redoButton.title = lastRedo ? `Redo ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+    
+    // Utility methods
+    getCurrentFlowchart() {
+        return this.findFlowchartById(this.activeFlowchartId) || this.data.flowcharts[0];
+    }
+    
+    findFlowchartById(flowchartId) {
+        return this.data.flowcharts.find(f => f.id === flowchartId);
+    }
+    
+    findNodeById(nodeId) {
+        return this.getCurrentFlowchart().nodes.find(n => n.id === nodeId);
+    }
+    
+    findContainerById(containerId) {
+        return this.getCurrentFlowchart().containers.find(c => c.id === containerId);
+    }
+    
+    findConnectionById(connectionId) {
+        return this.getCurrentFlowchart().connections.find(c => c.id === connectionId);
+    }
+    
+    updateIdCounters() {
+        // IDs are unique across the whole document so connectors can link between flowcharts
+        const flowcharts = this.data.flowcharts;
+        
+        this.nextFlowchartId = this.getNextIdNumber(flowcharts, /flowchart-(\d+)/);
+        this.nextNodeId = this.getNextIdNumber(flowcharts.flatMap(f => f.nodes), /node-(\d+)/);
+        this.nextConnectionId = this.getNextIdNumber(flowcharts.flatMap(f => f.connections), /conn-(\d+)/);
+        this.nextQuestionId = this.getNextIdNumber(flowcharts.flatMap(f => f.questions), /q-(\d+)/);
+        this.nextContainerId = this.getNextIdNumber(flowcharts.flatMap(f => f.containers || []), /container-(\d+)/);
+    }
+    
+    getNextIdNumber(items, pattern) {
+        const ids = items.map(item => {
+            const match = String(item.id || '').match(pattern);
+            return match ? parseInt(match[1]) : 0;
+        });
+        return Math.max(0, ...ids) + 1;
+    }
+    
+    renderAll() {
+        const flowchart = this.getCurrentFlowchart();
+        
+        // Containers sit behind everything else
+        flowchart.containers.forEach(container => {
+            this.canvas.renderContainer(container);
+        });
+        
+        // Render all nodes
+        flowchart.nodes.forEach(node => {
+            this.canvas.renderNode(node);
+        });
+        
+        // Render all connections
+        flowchart.connections.forEach(connection => {
+            this.canvas.renderConnection(connection);
+        });
+        
+        // Render questions
+        this.updateQuestionsPanel();
+        this.updateDocumentViews();
+    }
+    
+    // Redraw what is worked out from the document as a whole: the minimap, search matches, field colours and path totals
+    updateDocumentViews() {
+        this.minimap.update();
+        this.search.refresh();
+        this.refreshFieldView();
+        this.paths.refresh();
+    }
+    
+    /**
+     * Change which fields show as badges, which one colours the nodes, and which nodes the filter leaves undimmed
+     * @param {Object} view - Any of { badges, colorBy, filter }, where filter is { field, value } or null
+     */
+    setFieldView(view) {
+        this.fields.setView(view, this.data.flowcharts);
+        this.refreshFieldView();
+    }
+    
+    getFieldView() {
+        return this.fields.view;
+    }
+    
+    refreshFieldView() {
+        this.fields.updateColors(this.data.flowcharts);
+        this.canvas.updateFieldView();
+        this.updateFieldsPanel();
+    }
+    
+    // Options in the Fields tab follow the fields and values in use; the current choices are kept
+    updateFieldsPanel() {
+        const badgeOptions = document.getElementById('field-badge-options');
+        if (!badgeOptions) return;
+        
+        const fields = this.fields;
+        const view = fields.view;
+        const available = fields.getFields(this.data.flowcharts);
+        
+        badgeOptions.innerHTML = '';
+        available.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'toolbar-checkbox';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = field;
+            checkbox.checked = view.badges.includes(field);
+            checkbox.addEventListener('change', () => window.updateFieldView());
+            label.append(checkbox, ` ${fields.getLabel(field)}`);
+            badgeOptions.appendChild(label);
+        });
+        
+        const fieldOptions = available.map(field => ({ value: field, label: fields.getLabel(field) }));
+        this.setFieldOptions(document.getElementById('field-color-by'), [{ value: '', label: 'Own colours' }, ...fieldOptions], view.colorBy);
+        
+        const legend = document.getElementById('field-legend');
+        legend.innerHTML = '';
+        fields.colors.forEach((color, value) => {
+            const item = document.createElement('span');
+            item.className = 'field-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'field-legend-swatch';
+            swatch.style.background = color;
+            item.append(swatch, value);
+            legend.appendChild(item);
+        });
+        
+        const filter = view.filter;
+        this.setFieldOptions(document.getElementById('field-filter-field'), [{ value: '', label: 'No filter' }, ...fieldOptions], filter ? filter.field : '');
+        const valueSelect = document.getElementById('field-filter-value');
+        // A value that is no longer used stays on offer while the filter is set to it
+        const values = filter ? Array.from(new Set([...fields.getValues(this.data.flowcharts, filter.field), filter.value].filter(Boolean))) : [];
+        valueSelect.style.display = filter ? '' : 'none';
+        this.setFieldOptions(valueSelect, [
+            ...values.map(value => ({ value, label: value })),
+            { value: '', label: '(not set)' }
+        ], filter ? filter.value : '');
+        
+        const summary = document.getElementById('field-filter-summary');
+        const nodes = this.getCurrentFlowchart().nodes;
+        summary.textContent = filter
+            ? `${nodes.filter(node => fields.matchesFilter(node)).length} of ${nodes.length} nodes match`
+            : '';
+    }
+    
+    setFieldOptions(select, options, value) {
+        select.innerHTML = '';
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = options.some(option => option.value === value) ? value : options[0].value;
+    }
+    
+    updateStats() {
+        const flowchart = this.getCurrentFlowchart();
+        document.getElementById('node-count').textContent = `Nodes: ${flowchart.nodes.length}`;
+        document.getElementById('connection-count').textContent = `Connections: ${flowchart.connections.length}`;
+        this.updateValidationPanel();
+    }
+    
+    // Structural validation
+    validate() {
+        return this.validator.validate(this.getCurrentFlowchart(), this.data.flowcharts);
+    }
+    
+    updateValidationPanel() {
+        const list = document.getElementById('validation-list');
+        const count = document.getElementById('validation-count');
+        if (!list) return;
+        
+        const issues = this.validate();
+        count.textContent = issues.length ? issues.length : '';
+        count.classList.toggle('has-errors', issues.some(issue => issue.severity === 'error'));
+        
+        if (issues.length === 0) {
+            list.innerHTML = '<p class="text-muted">No structural problems found.</p>';
+            return;
+        }
+        
+        list.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = `validation-item ${issue.severity}`;
+            item.innerHTML = `
+                <span class="validation-severity">${issue.severity}</span>
+                <span class="validation-message">${sanitizeHTML(issue.message)}</span>
+            `;
+            if (issue.elementId) {
+                item.addEventListener('click', () => this.focusIssue(issue));
+            } else {
+                item.disabled = true;
+            }
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Select the element an issue refers to and centre the canvas on it
+     * @param {Object} issue - Issue from validate()
+     */
+    focusIssue(issue) {
+        if (issue.elementType === 'node') {
+            const node = this.findNodeById(issue.elementId);
+            if (!node) return;
+            
+            this.selectElement(node, 'node');
+            this.canvas.centerOnNode(node);
+        } else if (issue.elementType === 'connection') {
+            const connection = this.findConnectionById(issue.elementId);
+            if (!connection) return;
+            
+            this.selectElement(connection, 'connection');
+            
+            // Dangling connections are not drawn, so centre on whichever end still exists
+            const ends = [connection.from, connection.to]
+                .map(id => this.findNodeById(id))
+                .filter(Boolean);
+            if (ends.length) {
+                const centers = ends.map(node => ({ x: node.x + node.width / 2, y: node.y + node.height / 2 }));
+                this.canvas.centerOnPoint(
+                    centers.reduce((sum, c) => sum + c.x, 0) / centers.length,
+                    centers.reduce((sum, c) => sum + c.y, 0) / centers.length
+                );
+            }
+        }
+    }
+    
+    // Merge import
+    /**
+     * Compare imported JSON with the document by element ID and open the change review.
+     * When no nodes or connections differ, any questions and answers in it are merged straight away.
+     * @param {Object} jsonData - Parsed JSON: a full document, or one flowchart's nodes, connections and questions
+     * @param {Object} options - { direction } for placing added nodes without coordinates
+     * @returns {Object|null} { changes } while the review is open, the merge summary, or null if nothing differs
+     */
+    startMergeReview(jsonData, options = {}) {
+        this.walkthrough.stop();
+        const changes = this.mergeReview.start(jsonData, options);
+        if (changes.length) {
+            return { changes: changes.length };
+        }
+        return this.applyMergeReview();
+    }
+    
+    /**
+     * Apply the changes accepted in the review as one undo step
+     * @returns {Object|null} { applied, answered, added, resolved }, or null if nothing changed
+     */
+    applyMergeReview() {
+        const summary = this.mergeReview.apply();
+        if (summary) {
+            this.updateValidationPanel();
+        }
+        return summary;
+    }
+    
+    cancelMergeReview() {
+        this.mergeReview.stop();
+    }
+    
+    // Questions
+    normalizeQuestion(question) {
+        question.id = question.id || `q-${this.nextQuestionId++}`;
+        return this.questionBank.normalize(question);
+    }
+    
+    findQuestionById(questionId) {
+        return this.getCurrentFlowchart().questions.find(q => q.id === questionId);
+    }
+    
+    /**
+     * Add a question to the active flowchart
+     * @param {string} text - The question
+     * @param {string} category - Category such as 'requirements'
+     * @param {Object} attachedTo - Optional { type: 'node'|'connection', id }
+     * @returns {Object|null} The new question, or null if the text is empty
+     */
+    addQuestion(text, category, attachedTo = null) {
+        if (!text || !text.trim()) return null;
+        
+        const flowchart = this.getCurrentFlowchart();
+        const question = this.normalizeQuestion({
+            text: text.trim(),
+            category: category,
+            attachedTo: attachedTo ? { type: attachedTo.type, id: attachedTo.id } : null
+        });
+        flowchart.questions.push(question);
+        
+        this.history.record({
+            type: 'addElements',
+            label: 'add question',
+            flowchartId: flowchart.id,
+            nodes: [],
+            connections: [],
+            questions: [{ index: flowchart.questions.length - 1, question: this.snapshot(question) }]
+        });
+        
+        this.refreshQuestions();
+        
+        // Track analytics
+        if (typeof window.trackEvent !== 'undefined') {
+            window.trackEvent('question_added', { attached: Boolean(attachedTo) });
+        }
+        
+        return question;
+    }
+    
+    /**
+     * Change question fields. Typing an answer merges into one undo step.
+     * @param {string} questionId - Question to change
+     * @param {Object} changes - Any of text, category, answer, status, attachedTo
+     * @param {string} label - Undo label
+     */
+    updateQuestion(questionId, changes, label = 'edit question') {
+        const question = this.findQuestionById(questionId);
+        if (!question) return;
+        
+        const fields = Object.keys(changes);
+        this.recordElementChange('question', question, fields, label, () => {
+            fields.forEach(field => {
+                if (changes[field] === null) {
+                    delete question[field];
+                } else {
+                    question[field] = changes[field];
+                }
+            });
+        }, fields.length === 1 && fields[0] === 'answer');
+        
+        if (!('answer' in changes)) {
+            this.refreshQuestions();
+        }
+    }
+    
+    setQuestionStatus(questionId, status) {
+        this.updateQuestion(questionId, { status }, status === 'resolved' ? 'resolve question' : 'reopen question');
+    }
+    
+    deleteQuestion(questionId) {
+        const flowchart = this.getCurrentFlowchart();
+        const index = flowchart.questions.findIndex(q => q.id === questionId);
+        if (index === -1) return;
+        
+        this.history.record({
+            type: 'removeElements',
+            label: 'delete question',
+            flowchartId: flowchart.id,
+            nodes: [],
+            connections: [],
+            questions: [{ index, question: this.snapshot(flowchart.questions[index]) }]
+        });
+        flowchart.questions.splice(index, 1);
+        this.refreshQuestions();
+    }
+    
+    getOpenQuestionCount(type, id) {
+        return this.getCurrentFlowchart().questions
+            .filter(question => question.status !== 'resolved' && this.questionBank.isAttachedTo(question, type, id))
+            .length;
+    }
+    
+    refreshQuestions() {
+        this.updateQuestionsPanel();
+        this.canvas.updateQuestionBadges();
+    }
+    
+    updateQuestionsPanel() {
+        const questionsContainer = document.getElementById('questions-list');
+        const flowchart = this.getCurrentFlowchart();
+        const statusFilter = document.getElementById('question-status-filter');
+        const categoryFilter = document.getElementById('question-category-filter');
+        const status = statusFilter ? statusFilter.value : 'all';
+        const category = categoryFilter ? categoryFilter.value : '';
+        
+        this.updateQuestionCategories(categoryFilter);
+        
+        const openCount = flowchart.questions.filter(q => q.status !== 'resolved').length;
+        const count = document.getElementById('question-count');
+        if (count) {
+            count.textContent = openCount || '';
+        }
+        
+        if (flowchart.questions.length === 0) {
+            questionsContainer.innerHTML = '<p class="text-muted">No questions yet. Ask one above, or import an AI response that includes questions.</p>';
+            return;
+        }
+        
+        const questions = flowchart.questions.filter(question =>
+            (status === 'all' || question.status === status) && (!category || question.category === category));
+        if (questions.length === 0) {
+            questionsContainer.innerHTML = '<p class="text-muted">No questions match the filter.</p>';
+            return;
+        }
+        
+        questionsContainer.innerHTML = '';
+        questions.forEach(question => {
+            const questionElement = this.createQuestionElement(question);
+            questionsContainer.appendChild(questionElement);
+        });
+    }
+    
+    // Keep the category filter and the authoring suggestions in step with the categories in use
+    updateQuestionCategories(categoryFilter) {
+        const categories = this.questionBank.getCategories(this.data.flowcharts);
+        
+        const datalist = document.getElementById('question-categories');
+        if (datalist) {
+            datalist.innerHTML = categories.map(category => `<option value="${sanitizeHTML(category)}"></option>`).join('');
+        }
+        
+        if (categoryFilter) {
+            const selected = categoryFilter.value;
+            categoryFilter.innerHTML = '<option value="">All categories</option>' +
+                categories.map(category => `<option value="${sanitizeHTML(category)}">${sanitizeHTML(category)}</option>`).join('');
+            categoryFilter.value = categories.includes(selected) ? selected : '';
+        }
+    }
+    
+    createQuestionElement(question) {
+        const flowchart = this.getCurrentFlowchart();
+        const target = this.questionBank.describeTarget(question, flowchart);
+        const resolved = question.status === 'resolved';
+        
+        const div = document.createElement('div');
+        div.className = `question-item${resolved ? ' resolved' : ''}`;
+        div.dataset.questionId = question.id;
         div.innerHTML = `
-            <span class="question-category">${question.category}</span>
-            <div class="question-text">${question.text}</div>
-            <textarea class="question-answer" placeholder="Type your answer here..." data-question-id="${question.id}">${question.answer || ''}</textarea>
+            <div class="question-header">
+                <button type="button" class="question-category" title="Change category">${sanitizeHTML(question.category)}</button>
+                ${target ? `<button type="button" class="question-target" title="Show on canvas">on ${sanitizeHTML(target)}</button>` : ''}
+            </div>
+            <div class="question-text">${sanitizeHTML(question.text)}</div>
+            <textarea class="question-answer" placeholder="Type your answer here..." data-question-id="${question.id}"></textarea>
+            <div class="question-actions">
+                <button type="button" class="btn btn-sm btn-secondary question-resolve">${resolved ? '↩️ Reopen' : '✅ Resolve'}</button>
+                <button type="button" class="btn btn-sm btn-secondary question-edit">✏️ Edit</button>
+                <button type="button" class="btn btn-sm btn-danger question-delete">🗑️</button>
+            </div>
         `;
         
-        // Add event listener for answer updates
         const textarea = div.querySelector('.question-answer');
+        textarea.value = question.answer || '';
         textarea.addEventListener('input', (e) => {
-            question.answer = e.target.value;
+            this.updateQuestion(question.id, { answer: e.target.value }, 'answer question');
+            window.saveToLocalStorage();
+        });
+        
+        div.querySelector('.question-category').addEventListener('click', () => {
+            const category = prompt('Question category:', question.category);
+            if (category !== null && category.trim()) {
+                this.updateQuestion(question.id, { category: category.trim() }, 'categorize question');
+                window.saveToLocalStorage();
+            }
+        });
+        
+        const targetButton = div.querySelector('.question-target');
+        if (targetButton) {
+            targetButton.addEventListener('click', () => {
+                this.focusIssue({ elementType: question.attachedTo.type, elementId: question.attachedTo.id });
+            });
+        }
+        
+        div.querySelector('.question-resolve').addEventListener('click', () => {
+            this.setQuestionStatus(question.id, resolved ? 'open' : 'resolved');
+            window.saveToLocalStorage();
+        });
+        
+        div.querySelector('.question-edit').addEventListener('click', () => {
+            const text = prompt('Edit question:', question.text);
+            if (text !== null && text.trim()) {
+                this.updateQuestion(question.id, { text: text.trim() });
+                window.saveToLocalStorage();
+            }
+        });
+        
+        div.querySelector('.question-delete').addEventListener('click', () => {
+            if (confirm('Delete this question?')) {
+                this.deleteQuestion(question.id);
+                window.saveToLocalStorage();
+            }
         });
         
         return div;
@@ -412,7 +2547,15 @@ class FlowchartEditor {
             process: 'Process',
             decision: 'Decision?',
             end: 'End',
-            connector: ''
+            connector: '',
+            data: 'Input / Output',
+            document: 'Document',
+            subprocess: 'Subprocess',
+            'manual-input': 'Manual Input',
+            'manual-operation': 'Manual Operation',
+            delay: 'Delay',
+            database: 'Database',
+            annotation: 'Comment'
         };
         return defaults[type] || 'Node';
     }
@@ -423,34 +2566,132 @@ class FlowchartEditor {
             process: { width: 120, height: 60 },
             decision: { width: 100, height: 80 },
             end: { width: 100, height: 60 },
-            connector: { width: 30, height: 30 }
+            connector: { width: 30, height: 30 },
+            data: { width: 130, height: 60 },
+            document: { width: 120, height: 70 },
+            subprocess: { width: 140, height: 60 },
+            'manual-input': { width: 120, height: 60 },
+            'manual-operation': { width: 130, height: 60 },
+            delay: { width: 100, height: 60 },
+            database: { width: 100, height: 80 },
+            annotation: { width: 140, height: 50 }
         };
         return sizes[type] || { width: 120, height: 60 };
     }
     
+    getDefaultContainerSize(type) {
+        return type === 'group' ? { width: 300, height: 200 } : { width: 800, height: 180 };
+    }
+    
     getDefaultNodeColor(type) {
         const colors = {
             start: '#e8f5e8',
             process: '#e3f2fd',
             decision: '#fff3e0',
             end: '#fce4ec',
-            connector: '#f5f5f5'
+            connector: '#f5f5f5',
+            data: '#ede7f6',
+            document: '#fffde7',
+            subprocess: '#e0f2f1',
+            'manual-input': '#f3e5f5',
+            'manual-operation': '#fbe9e7',
+            delay: '#fff8e1',
+            database: '#e8eaf6',
+            annotation: '#ffffff'
         };
         return colors[type] || '#e3f2fd';
     }
     
     clearAll() {
-        this.getCurrentFlowchart().nodes = [];
-        this.getCurrentFlowchart().connections = [];
-        this.getCurrentFlowchart().questions = [];
+        const flowchart = this.getCurrentFlowchart();
+        this.history.record({
+            type: 'replaceFlowchart',
+            label: 'clear canvas',
+            flowchartId: flowchart.id,
+            before: this.snapshot({
+                nodes: flowchart.nodes,
+                connections: flowchart.connections,
+                questions: flowchart.questions,
+                containers: flowchart.containers
+            }),
+            after: { nodes: [], connections: [], questions: [], containers: [] }
+        });
+        
+        flowchart.nodes = [];
+        flowchart.connections = [];
+        flowchart.questions = [];
+        flowchart.containers = [];
         this.canvas.clear();
         this.clearSelection();
         this.updateStats();
         this.updateQuestionsPanel();
     }
     
-    fitToScreen() {
-        this.canvas.fitToScreen();
+    fitToScreen() {
+        this.canvas.fitToScreen();
+    }
+    
+    /**
+     * Change grid snapping and alignment guides
+     * @param {Object} options - Any of { snapToGrid, gridSize, showGuides }
+     */
+    setGridOptions(options) {
+        const alignment = this.canvas.alignment;
+        if (options.snapToGrid !== undefined) alignment.snapToGrid = options.snapToGrid;
+        if (options.showGuides !== undefined) alignment.showGuides = options.showGuides;
+        if (options.gridSize) this.canvas.setGridSize(options.gridSize);
+    }
+    
+    getGridOptions() {
+        const alignment = this.canvas.alignment;
+        return { snapToGrid: alignment.snapToGrid, gridSize: alignment.gridSize, showGuides: alignment.showGuides };
+    }
+    
+    /**
+     * Line up the selected nodes along an edge or centre line
+     * @param {string} edge - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+     * @returns {number} Number of nodes aligned
+     */
+    alignSelection(edge) {
+        const nodes = this.getSelectedNodes();
+        if (nodes.length < 2) return 0;
+        
+        this.moveNodesTo(this.canvas.alignment.align(nodes, edge), `align ${edge}`);
+        return nodes.length;
+    }
+    
+    /**
+     * Even out the gaps between the selected nodes
+     * @param {string} axis - 'horizontal' or 'vertical'
+     * @returns {number} Number of nodes distributed
+     */
+    distributeSelection(axis) {
+        const nodes = this.getSelectedNodes();
+        if (nodes.length < 3) return 0;
+        
+        this.moveNodesTo(this.canvas.alignment.distribute(nodes, axis), `distribute ${axis}ly`);
+        return nodes.length;
+    }
+    
+    moveNodesTo(positions, label) {
+        const flowchart = this.getCurrentFlowchart();
+        const nodes = flowchart.nodes.filter(node => positions[node.id]);
+        
+        this.recordElementsChange(
+            label,
+            ['x', 'y', 'containerId'],
+            nodes.map(node => ({ flowchartId: flowchart.id, collection: 'nodes', element: node })),
+            () => {
+                nodes.forEach(node => {
+                    node.x = positions[node.id].x;
+                    node.y = positions[node.id].y;
+                    this.setNodeContainer(node, this.findContainerForNode(node)?.id);
+                });
+            }
+        );
+        
+        nodes.forEach(node => this.canvas.updateNodePosition(node));
+        this.canvas.updateAllConnections();
     }
     
     resetZoom() {
@@ -458,10 +2699,7 @@ class FlowchartEditor {
     }
     
     editNodeText(node) {
-        const text = prompt('Enter node text:', node.text);
-        if (text !== null) {
-            this.updateNodeText(node.id, text);
-        }
+        this.keyboard.startTextEdit(node);
     }
 }
 
@@ -470,11 +2708,18 @@ class FlowchartCanvas {
         this.canvasId = canvasId;
         this.svg = d3.select(`#${canvasId}`);
         this.mainGroup = this.svg.select('#main-group');
+        this.containersGroup = this.svg.select('#containers-group');
         this.nodesGroup = this.svg.select('#nodes-group');
         this.connectionsGroup = this.svg.select('#connections-group');
+        this.router = new FlowchartRouter();
+        this.alignment = new FlowchartAlignment();
+        this.nodeStyle = new FlowchartNodeStyle();
+        this.resizeNodeId = null;
         
         this.zoom = d3.zoom()
             .scaleExtent([0.1, 4])
+            // Shift-drag draws a selection rectangle instead of panning
+            .filter(event => !event.shiftKey && (!event.ctrlKey || event.type === 'wheel') && !event.button)
             .on('zoom', (event) => {
                 this.mainGroup.attr('transform', event.transform);
                 this.updateZoomLevel(event.transform.k);
@@ -486,6 +2731,7 @@ class FlowchartCanvas {
         this.eventHandlers = {};
         this.selectedElement = null;
         this.connectionInProgress = null;
+        this.suppressClick = false;
         
         this.setupCanvasEvents();
     }
@@ -493,11 +2739,60 @@ class FlowchartCanvas {
     setupCanvasEvents() {
         // Canvas click handler
         this.svg.on('click', (event) => {
+            if (this.suppressClick) return;
+            
             if (event.target === this.svg.node() || event.target.tagName === 'rect') {
                 const [x, y] = d3.pointer(event, this.mainGroup.node());
                 this.emit('canvasClick', event, { x, y });
             }
         });
+        
+        this.svg.on('mousedown.marquee', (event) => {
+            if (event.shiftKey && event.button === 0 &&
+                (event.target === this.svg.node() || event.target.tagName === 'rect')) {
+                this.startMarquee(event);
+            }
+        });
+    }
+    
+    startMarquee(event) {
+        const [startX, startY] = d3.pointer(event, this.mainGroup.node());
+        const marquee = this.mainGroup.append('rect')
+            .attr('class', 'marquee-selection')
+            .attr('x', startX)
+            .attr('y', startY);
+        let bounds = null;
+        
+        const onMove = (moveEvent) => {
+            const [x, y] = d3.pointer(moveEvent, this.mainGroup.node());
+            bounds = {
+                minX: Math.min(startX, x),
+                minY: Math.min(startY, y),
+                maxX: Math.max(startX, x),
+                maxY: Math.max(startY, y)
+            };
+            marquee.attr('x', bounds.minX)
+                .attr('y', bounds.minY)
+                .attr('width', bounds.maxX - bounds.minX)
+                .attr('height', bounds.maxY - bounds.minY);
+        };
+        
+        const onUp = (upEvent) => {
+            window.removeEventListener('mousemove', onMove);
+            window.removeEventListener('mouseup', onUp);
+            marquee.remove();
+            
+            if (bounds) {
+                // The click that follows mouseup would otherwise clear the new selection
+                this.suppressClick = true;
+                setTimeout(() => { this.suppressClick = false; }, 0);
+                this.emit('marqueeSelect', upEvent, bounds);
+            }
+        };
+        
+        event.preventDefault();
+        window.addEventListener('mousemove', onMove);
+        window.addEventListener('mouseup', onUp);
     }
     
     // Event system
@@ -521,17 +2816,12 @@ class FlowchartCanvas {
         const nodeGroup = this.nodesGroup.append('g')
             .attr('class', 'flowchart-node')
             .attr('data-node-id', nodeData.id)
-            .attr('transform', `translate(${nodeData.x}, ${nodeData.y})`);
+            .attr('transform', `translate(${nodeData.x}, ${nodeData.y})`)
+            .attr('tabindex', '-1')
+            .attr('role', 'button')
+            .attr('aria-label', window.flowchartEditor.keyboard.describeWithNeighbours(nodeData));
         
-        // Create node shape based on type
-        this.createNodeShape(nodeGroup, nodeData);
-        
-        // Add text
-        nodeGroup.append('text')
-            .attr('class', 'node-text')
-            .attr('x', nodeData.width / 2)
-            .attr('y', nodeData.height / 2)
-            .text(nodeData.text);
+        this.drawNodeContents(nodeGroup, nodeData);
         
         // Add event handlers
         this.setupNodeEvents(nodeGroup, nodeData);
@@ -542,21 +2832,152 @@ class FlowchartCanvas {
         return nodeGroup;
     }
     
+    // Shape, text and decorations - everything inside the node's group, which keeps its event handlers
+    drawNodeContents(nodeGroup, nodeData) {
+        // Create node shape based on type
+        this.createNodeShape(nodeGroup, nodeData);
+        
+        // Add text
+        this.renderNodeText(nodeGroup.append('text').attr('class', 'node-text'), nodeData);
+        
+        // Mark connectors and subprocesses that jump to another flowchart
+        nodeGroup.classed('linked', false);
+        if (nodeData.link && window.flowchartEditor.canLinkNode(nodeData)) {
+            this.renderNodeLink(nodeGroup, nodeData);
+        }
+        
+        this.renderQuestionBadge(nodeGroup, 'node', nodeData, { x: nodeData.width, y: 0 });
+        this.renderNodeFields(nodeGroup, nodeData);
+        
+        if (this.resizeNodeId === nodeData.id) {
+            this.renderResizeHandles(nodeGroup, nodeData);
+        }
+    }
+    
+    /**
+     * Draw a count of open questions on a node or connection, replacing any previous badge
+     * @param {Object} group - D3 selection of the element's group
+     * @param {string} type - 'node' or 'connection'
+     * @param {Object} element - Node or connection data
+     * @param {Object} position - {x, y} of the badge centre within the group
+     */
+    renderQuestionBadge(group, type, element, position) {
+        group.select('.question-badge-group').remove();
+        
+        const count = window.flowchartEditor.getOpenQuestionCount(type, element.id);
+        if (!count) return;
+        
+        const badge = group.append('g')
+            .attr('class', 'question-badge-group')
+            .attr('transform', `translate(${position.x}, ${position.y})`)
+            .on('click', (event) => {
+                this.emit('questionBadgeClick', event, type, element);
+            });
+        badge.append('title')
+            .text(`${count} open question${count === 1 ? '' : 's'}`);
+        badge.append('circle')
+            .attr('class', 'question-badge')
+            .attr('r', 8);
+        badge.append('text')
+            .attr('class', 'question-badge-text')
+            .text(count > 9 ? '9+' : count);
+    }
+    
+    /**
+     * Apply the editor's field view to a node: badges along its top edge, the fill when nodes are
+     * coloured by a field, and dimming when the filter leaves it out
+     * @param {Object} nodeGroup - D3 selection of the node's group
+     * @param {Object} nodeData - Node data
+     */
+    renderNodeFields(nodeGroup, nodeData) {
+        const fields = window.flowchartEditor.fields;
+        const shape = nodeGroup.node().firstElementChild;
+        if (shape) {
+            d3.select(shape).attr('fill', fields.getNodeColor(nodeData) || nodeData.style.backgroundColor);
+        }
+        nodeGroup.classed('field-dimmed', !fields.matchesFilter(nodeData));
+        
+        nodeGroup.select('.field-badges').remove();
+        const badges = fields.getBadges(nodeData);
+        if (badges.length === 0) return;
+        
+        const badgeGroup = nodeGroup.append('g')
+            .attr('class', 'field-badges')
+            .attr('transform', 'translate(0, -18)');
+        let x = 0;
+        badges.forEach(badge => {
+            const text = badge.value.length > 20 ? `${badge.value.slice(0, 19)}…` : badge.value;
+            const width = this.nodeStyle.measure(text, { fontSize: 10 }) + 10;
+            const item = badgeGroup.append('g')
+                .attr('class', 'field-badge')
+                .attr('transform', `translate(${x}, 0)`);
+            item.append('title').text(`${badge.label}: ${badge.value}`);
+            item.append('rect')
+                .attr('width', width)
+                .attr('height', 14)
+                .attr('rx', 7);
+            item.append('text')
+                .attr('x', width / 2)
+                .attr('y', 10)
+                .text(text);
+            x += width + 4;
+        });
+    }
+    
+    updateFieldView() {
+        const editor = window.flowchartEditor;
+        const flowchart = editor.getCurrentFlowchart();
+        const dimmedIds = new Set();
+        
+        flowchart.nodes.forEach(node => {
+            if (!editor.fields.matchesFilter(node)) dimmedIds.add(node.id);
+            const nodeGroup = this.nodesGroup.select(`[data-node-id="${node.id}"]`);
+            if (!nodeGroup.empty()) {
+                this.renderNodeFields(nodeGroup, node);
+            }
+        });
+        
+        // A connection stays clear only while both of its ends do
+        flowchart.connections.forEach(connection => {
+            this.connectionsGroup.select(`[data-connection-id="${connection.id}"]`)
+                .classed('field-dimmed', dimmedIds.has(connection.from) || dimmedIds.has(connection.to));
+        });
+    }
+    
+    updateQuestionBadges() {
+        const flowchart = window.flowchartEditor.getCurrentFlowchart();
+        
+        flowchart.nodes.forEach(node => {
+            const nodeGroup = this.nodesGroup.select(`[data-node-id="${node.id}"]`);
+            if (!nodeGroup.empty()) {
+                this.renderQuestionBadge(nodeGroup, 'node', node, { x: node.width, y: 0 });
+            }
+        });
+        
+        flowchart.connections.forEach(connection => {
+            const sourceNode = window.flowchartEditor.findNodeById(connection.from);
+            const targetNode = window.flowchartEditor.findNodeById(connection.to);
+            const connectionGroup = this.connectionsGroup.select(`[data-connection-id="${connection.id}"]`);
+            if (!sourceNode || !targetNode || connectionGroup.empty()) return;
+            
+            const points = this.getConnectionPoints(connection, sourceNode, targetNode);
+            this.renderQuestionBadge(connectionGroup, 'connection', connection, this.getConnectionBadgePoint(points));
+        });
+    }
+    
     createNodeShape(nodeGroup, nodeData) {
         const { width, height, style } = nodeData;
+        let shape;
         
         switch (nodeData.type) {
             case 'start':
             case 'end':
                 // Oval shape
-                nodeGroup.append('ellipse')
+                shape = nodeGroup.append('ellipse')
                     .attr('cx', width / 2)
                     .attr('cy', height / 2)
                     .attr('rx', width / 2)
-                    .attr('ry', height / 2)
-                    .attr('fill', style.backgroundColor)
-                    .attr('stroke', style.borderColor)
-                    .attr('stroke-width', 2);
+                    .attr('ry', height / 2);
                 break;
                 
             case 'decision':
@@ -567,49 +2988,244 @@ class FlowchartCanvas {
                     [width / 2, height],
                     [0, height / 2]
                 ];
-                nodeGroup.append('polygon')
-                    .attr('points', points.map(p => p.join(',')).join(' '))
-                    .attr('fill', style.backgroundColor)
-                    .attr('stroke', style.borderColor)
-                    .attr('stroke-width', 2);
+                shape = nodeGroup.append('polygon')
+                    .attr('points', points.map(p => p.join(',')).join(' '));
                 break;
                 
             case 'connector':
                 // Small circle
-                nodeGroup.append('circle')
+                shape = nodeGroup.append('circle')
                     .attr('cx', width / 2)
                     .attr('cy', height / 2)
-                    .attr('r', Math.min(width, height) / 2)
-                    .attr('fill', style.backgroundColor)
-                    .attr('stroke', style.borderColor)
-                    .attr('stroke-width', 2);
+                    .attr('r', Math.min(width, height) / 2);
+                break;
+                
+            case 'data':
+            case 'manual-input':
+            case 'manual-operation':
+                // Parallelogram, slanted-top and trapezoid shapes
+                shape = nodeGroup.append('polygon')
+                    .attr('points', this.getNodeOutline(nodeData).map(p => p.join(',')).join(' '));
+                break;
+                
+            case 'document': {
+                // Rectangle with a wavy bottom edge
+                const wave = height * 0.1;
+                shape = nodeGroup.append('path')
+                    .attr('d', `M 0 0 H ${width} V ${height - wave} Q ${width * 0.75} ${height - wave * 3} ${width / 2} ${height - wave} T 0 ${height - wave} Z`);
+                break;
+            }
+                
+            case 'delay': {
+                // Flat left side, rounded right side
+                const radius = Math.min(width, height) / 2;
+                shape = nodeGroup.append('path')
+                    .attr('d', `M 0 0 H ${width - radius} A ${radius} ${height / 2} 0 0 1 ${width - radius} ${height} H 0 Z`);
+                break;
+            }
+                
+            case 'database': {
+                // Cylinder
+                const rim = Math.min(10, height * 0.15);
+                shape = nodeGroup.append('path')
+                    .attr('d', `M 0 ${rim} A ${width / 2} ${rim} 0 0 1 ${width} ${rim} V ${height - rim} A ${width / 2} ${rim} 0 0 1 0 ${height - rim} Z`);
                 break;
+            }
                 
-            default: // process
+            default: // process, subprocess and annotation
                 // Rectangle
-                nodeGroup.append('rect')
+                shape = nodeGroup.append('rect')
                     .attr('width', width)
                     .attr('height', height)
                     .attr('rx', 4)
-                    .attr('ry', 4)
-                    .attr('fill', style.backgroundColor)
-                    .attr('stroke', style.borderColor)
-                    .attr('stroke-width', 2);
+                    .attr('ry', 4);
+                break;
+        }
+        
+        shape.attr('fill', style.backgroundColor)
+            .attr('stroke', style.borderColor)
+            .attr('stroke-width', style.borderWidth || 2)
+            .attr('stroke-dasharray', FlowchartNodeStyle.getDashArray(style.borderStyle));
+        
+        this.createNodeDecoration(nodeGroup, nodeData, shape);
+    }
+    
+    // Extra lines drawn over the shape: subprocess side bars, the database rim and the annotation bracket
+    createNodeDecoration(nodeGroup, nodeData, shape) {
+        const { width, height, style } = nodeData;
+        let path;
+        
+        switch (nodeData.type) {
+            case 'subprocess': {
+                const inset = Math.min(10, width / 8);
+                path = `M ${inset} 0 V ${height} M ${width - inset} 0 V ${height}`;
+                break;
+            }
+            case 'database': {
+                const rim = Math.min(10, height * 0.15);
+                path = `M 0 ${rim} A ${width / 2} ${rim} 0 0 0 ${width} ${rim}`;
+                break;
+            }
+            case 'annotation':
+                // The box only shows when selected; the bracket carries the border style
+                shape.attr('stroke', 'none');
+                path = `M ${Math.min(12, width / 4)} 0 H 0 V ${height} H ${Math.min(12, width / 4)}`;
                 break;
+            default:
+                return;
+        }
+        
+        nodeGroup.append('path')
+            .attr('class', 'node-decoration')
+            .attr('d', path)
+            .attr('fill', 'none')
+            .attr('stroke', style.borderColor)
+            .attr('stroke-width', style.borderWidth || 2)
+            .attr('stroke-dasharray', FlowchartNodeStyle.getDashArray(style.borderStyle));
+    }
+    
+    /**
+     * Polygon outline of a node in its own coordinates, used for drawing straight-edged shapes and
+     * for finding where connections meet curved ones
+     * @param {Object} node - Node data
+     * @returns {Array|null} [x, y] pairs, or null for shapes handled as ellipses or rectangles
+     */
+    getNodeOutline(node) {
+        const { width, height } = node;
+        const slant = Math.min(20, width / 4);
+        
+        switch (node.type) {
+            case 'data':
+                return [[slant, 0], [width, 0], [width - slant, height], [0, height]];
+            case 'manual-input':
+                return [[0, height * 0.3], [width, 0], [width, height], [0, height]];
+            case 'manual-operation':
+                return [[0, 0], [width, 0], [width - slant, height], [slant, height]];
+            case 'document':
+                return [[0, 0], [width, 0], [width, height * 0.9], [0, height * 0.9]];
+            case 'delay': {
+                const radius = Math.min(width, height) / 2;
+                const arc = d3.range(-90, 91, 15).map(degrees => {
+                    const angle = degrees * Math.PI / 180;
+                    return [width - radius + radius * Math.cos(angle), height / 2 + height / 2 * Math.sin(angle)];
+                });
+                return [[0, 0], ...arc, [0, height]];
+            }
+            default:
+                return null;
+        }
+    }
+    
+    renderNodeText(text, nodeData) {
+        const lines = this.nodeStyle.wrap(nodeData);
+        const lineHeight = this.nodeStyle.getLineHeight(nodeData.style);
+        
+        // Inline styles, since the .node-text rule would override presentation attributes
+        text.attr('x', nodeData.width / 2)
+            .attr('y', nodeData.height / 2)
+            .style('font-size', `${this.nodeStyle.getFontSize(nodeData.style)}px`)
+            .style('font-weight', nodeData.style.fontWeight || null)
+            .style('fill', nodeData.style.textColor || null);
+        
+        text.selectAll('tspan').remove();
+        lines.forEach((line, index) => {
+            text.append('tspan')
+                .attr('x', nodeData.width / 2)
+                .attr('dy', index === 0 ? -(lines.length - 1) / 2 * lineHeight : lineHeight)
+                .text(line);
+        });
+    }
+    
+    renderResizeHandles(nodeGroup, nodeData) {
+        const self = this;
+        const handles = [
+            { edge: 'e', x: nodeData.width, y: nodeData.height / 2 },
+            { edge: 's', x: nodeData.width / 2, y: nodeData.height },
+            { edge: 'se', x: nodeData.width, y: nodeData.height }
+        ];
+        
+        handles.forEach(handle => {
+            nodeGroup.append('rect')
+                .attr('class', `node-resize-handle ${handle.edge}`)
+                .attr('x', handle.x - 4)
+                .attr('y', handle.y - 4)
+                .attr('width', 8)
+                .attr('height', 8)
+                .call(d3.drag()
+                    .container(this.nodesGroup.node())
+                    .on('start', (event) => {
+                        self.emit('nodeResizeStart', event, nodeData);
+                    })
+                    .on('drag', (event) => {
+                        if (handle.edge !== 's') {
+                            nodeData.width = Math.max(self.nodeStyle.minWidth, self.alignment.snap(event.x) - nodeData.x);
+                        }
+                        if (handle.edge !== 'e') {
+                            nodeData.height = Math.max(self.nodeStyle.minHeight, self.alignment.snap(event.y) - nodeData.y);
+                        }
+                        self.redrawNode(nodeData);
+                        self.updateNodeConnections(nodeData.id);
+                    })
+                    .on('end', (event) => {
+                        self.emit('nodeResizeEnd', event, nodeData);
+                    }));
+        });
+    }
+    
+    /**
+     * Show resize handles on one node, or hide them
+     * @param {string|null} nodeId - Node to show them on
+     */
+    showResizeHandles(nodeId) {
+        this.nodesGroup.selectAll('.node-resize-handle').remove();
+        this.resizeNodeId = nodeId;
+        
+        const nodeData = nodeId && window.flowchartEditor.findNodeById(nodeId);
+        if (nodeData) {
+            this.renderResizeHandles(this.nodesGroup.select(`[data-node-id="${nodeId}"]`), nodeData);
         }
     }
     
+    redrawNode(nodeData) {
+        const nodeGroup = this.nodesGroup.select(`[data-node-id="${nodeData.id}"]`);
+        nodeGroup.selectAll('*').remove();
+        this.drawNodeContents(nodeGroup, nodeData);
+    }
+    
+    renderNodeLink(nodeGroup, nodeData) {
+        const target = window.flowchartEditor.getLinkedNode(nodeData.link);
+        const targetLabel = !target ? `missing ${nodeData.link.nodeId ? 'node' : 'flowchart'}`
+            : target.node ? `${target.flowchart.title}: ${target.node.text || target.node.id}`
+            : target.flowchart.title;
+        
+        nodeGroup.classed('linked', true);
+        nodeGroup.append('title')
+            .text(`Double-click to open ${targetLabel}`);
+        nodeGroup.append('text')
+            .attr('class', 'node-link-label')
+            .attr('x', nodeData.width / 2)
+            .attr('y', nodeData.height + 12)
+            .text(`↗ ${target ? target.flowchart.title : 'missing'}`);
+    }
+    
     setupNodeEvents(nodeGroup, nodeData) {
         const self = this;
         
         // Drag behavior
+        let pointer = null;
         const drag = d3.drag()
             .on('start', function(event) {
                 d3.select(this).raise().classed('dragging', true);
+                pointer = { x: nodeData.x, y: nodeData.y };
+                self.emit('nodeDragStart', event, nodeData);
             })
             .on('drag', function(event) {
-                const newX = nodeData.x + event.dx;
-                const newY = nodeData.y + event.dy;
+                // Follow the unsnapped pointer so small movements still add up to a grid step
+                pointer.x += event.dx;
+                pointer.y += event.dy;
+                const position = self.getNodeDragPosition(nodeData, pointer, event.sourceEvent && event.sourceEvent.altKey);
+                const newX = position.x;
+                const newY = position.y;
                 nodeData.x = newX;
                 nodeData.y = newY;
                 d3.select(this).attr('transform', `translate(${newX}, ${newY})`);
@@ -621,6 +3237,8 @@ class FlowchartCanvas {
             })
             .on('end', function(event) {
                 d3.select(this).classed('dragging', false);
+                self.clearGuides();
+                self.emit('nodeDragEnd', event, nodeData);
             });
         
         nodeGroup.call(drag);
@@ -648,6 +3266,61 @@ class FlowchartCanvas {
         });
     }
     
+    /**
+     * Where a dragged node lands: on the grid, or on a guide when it lines up with another node.
+     * Holding Alt places it freely.
+     */
+    getNodeDragPosition(nodeData, pointer, free) {
+        this.clearGuides();
+        if (free) return { x: pointer.x, y: pointer.y };
+        
+        const position = this.alignment.snapPoint(pointer);
+        if (!this.alignment.showGuides) return position;
+        
+        // Nodes moving together with this one can't act as guides
+        const dragOrigin = window.flowchartEditor.dragOrigin;
+        const moving = new Set(dragOrigin ? dragOrigin.nodes.map(n => n.id) : [nodeData.id]);
+        const others = window.flowchartEditor.getCurrentFlowchart().nodes.filter(n => !moving.has(n.id));
+        const guides = this.alignment.findGuides(
+            { x: pointer.x, y: pointer.y, width: nodeData.width, height: nodeData.height },
+            others,
+            d3.zoomTransform(this.svg.node()).k
+        );
+        
+        if (guides.x !== null) position.x = guides.x;
+        if (guides.y !== null) position.y = guides.y;
+        this.showGuides(guides.lines);
+        
+        return position;
+    }
+    
+    showGuides(lines) {
+        if (lines.length === 0) return;
+        
+        const guidesGroup = this.mainGroup.append('g').attr('class', 'alignment-guides');
+        lines.forEach(line => {
+            guidesGroup.append('line')
+                .attr('class', 'alignment-guide')
+                .attr('x1', line.x1)
+                .attr('y1', line.y1)
+                .attr('x2', line.x2)
+                .attr('y2', line.y2);
+        });
+    }
+    
+    clearGuides() {
+        this.mainGroup.selectAll('.alignment-guides').remove();
+    }
+    
+    setGridSize(size) {
+        this.alignment.gridSize = size;
+        this.svg.select('#grid')
+            .attr('width', size)
+            .attr('height', size)
+            .select('path')
+            .attr('d', `M ${size} 0 L 0 0 0 ${size}`);
+    }
+    
     updateNodePosition(nodeData) {
         const nodeGroup = this.nodesGroup.select(`[data-node-id="${nodeData.id}"]`);
         nodeGroup.attr('transform', `translate(${nodeData.x}, ${nodeData.y})`);
@@ -655,14 +3328,17 @@ class FlowchartCanvas {
     }
     
     updateNodeText(nodeData) {
-        const nodeGroup = this.nodesGroup.select(`[data-node-id="${nodeData.id}"]`);
-        nodeGroup.select('.node-text').text(nodeData.text);
+        // Wrapped text can make the node taller, so the shape is redrawn too
+        this.redrawNode(nodeData);
+        this.updateNodeConnections(nodeData.id);
     }
     
     updateNode(nodeData) {
         // Remove old node and create new one
+        const selected = this.nodesGroup.select(`[data-node-id="${nodeData.id}"]`).classed('selected');
         this.removeNode(nodeData.id);
-        this.renderNode(nodeData);
+        this.renderNode(nodeData).classed('selected', selected);
+        this.updateNodeConnections(nodeData.id);
     }
     
     updateNodeStatus(nodeData) {
@@ -678,64 +3354,192 @@ class FlowchartCanvas {
         this.nodesGroup.select(`[data-node-id="${nodeId}"]`).remove();
     }
     
+    // Container rendering
+    renderContainer(containerData) {
+        const self = this;
+        const containerGroup = this.containersGroup.append('g')
+            .datum(containerData)
+            .attr('class', `diagram-container ${containerData.type}`)
+            .attr('data-container-id', containerData.id)
+            .attr('transform', `translate(${containerData.x}, ${containerData.y})`);
+        
+        containerGroup.append('rect').attr('class', 'container-body');
+        containerGroup.append('rect').attr('class', 'container-header');
+        containerGroup.append('text')
+            .attr('class', 'container-label')
+            .attr('x', 10)
+            .attr('y', 18)
+            .text(containerData.label);
+        containerGroup.append('rect')
+            .attr('class', 'container-resize-handle')
+            .attr('width', 12)
+            .attr('height', 12);
+        this.layoutContainer(containerGroup, containerData);
+        
+        // The header moves the container; the body stays click-through so nodes can be added inside it
+        let pointer = null;
+        containerGroup.select('.container-header').call(d3.drag()
+            .container(this.containersGroup.node())
+            .on('start', (event) => {
+                pointer = { x: containerData.x, y: containerData.y };
+                self.emit('containerDragStart', event, containerData);
+            })
+            .on('drag', (event) => {
+                pointer.x += event.dx;
+                pointer.y += event.dy;
+                containerData.x = self.alignment.snap(pointer.x);
+                containerData.y = self.alignment.snap(pointer.y);
+                containerGroup.attr('transform', `translate(${containerData.x}, ${containerData.y})`);
+                self.emit('containerDrag', event, containerData);
+            })
+            .on('end', (event) => {
+                self.emit('containerDragEnd', event, containerData);
+            }));
+        
+        containerGroup.select('.container-resize-handle').call(d3.drag()
+            .container(this.containersGroup.node())
+            .on('start', (event) => {
+                self.emit('containerResizeStart', event, containerData);
+            })
+            .on('drag', (event) => {
+                containerData.width = Math.max(120, self.alignment.snap(event.x) - containerData.x);
+                containerData.height = Math.max(60, self.alignment.snap(event.y) - containerData.y);
+                self.layoutContainer(containerGroup, containerData);
+            })
+            .on('end', (event) => {
+                self.orderContainers();
+                self.emit('containerResizeEnd', event, containerData);
+            }));
+        
+        containerGroup.select('.container-resize-handle').on('click', (event) => {
+            event.stopPropagation();
+        });
+        
+        containerGroup.select('.container-header').on('click', (event) => {
+            this.emit('containerClick', event, containerData);
+        });
+        
+        containerGroup.select('.container-header').on('dblclick', (event) => {
+            this.emit('containerDoubleClick', event, containerData);
+        });
+        
+        this.orderContainers();
+        return containerGroup;
+    }
+    
+    layoutContainer(containerGroup, containerData) {
+        const { width, height } = containerData;
+        
+        containerGroup.select('.container-body').attr('width', width).attr('height', height);
+        containerGroup.select('.container-header').attr('width', width).attr('height', 28);
+        containerGroup.select('.container-resize-handle')
+            .attr('x', width - 12)
+            .attr('y', height - 12);
+    }
+    
+    /**
+     * Keep smaller containers in front so a group inside a swimlane stays clickable
+     */
+    orderContainers() {
+        this.containersGroup.selectAll('.diagram-container')
+            .sort((a, b) => b.width * b.height - a.width * a.height);
+    }
+    
+    updateContainerPosition(containerData) {
+        this.containersGroup.select(`[data-container-id="${containerData.id}"]`)
+            .attr('transform', `translate(${containerData.x}, ${containerData.y})`);
+    }
+    
+    updateContainer(containerData) {
+        const selected = this.containersGroup.select(`[data-container-id="${containerData.id}"]`).classed('selected');
+        this.removeContainer(containerData.id);
+        this.renderContainer(containerData).classed('selected', selected);
+    }
+    
+    removeContainer(containerId) {
+        this.containersGroup.select(`[data-container-id="${containerId}"]`).remove();
+    }
+    
     // Connection rendering
     renderConnection(connectionData) {
         // Find source and target nodes
         const sourceNode = window.flowchartEditor.findNodeById(connectionData.from);
         const targetNode = window.flowchartEditor.findNodeById(connectionData.to);
         
+        // Dangling connections can't be drawn - the Validate panel lists them instead
         if (!sourceNode || !targetNode) return;
         
         const connectionGroup = this.connectionsGroup.append('g')
             .attr('class', 'flowchart-connection-group')
             .attr('data-connection-id', connectionData.id);
+        const points = this.getConnectionPoints(connectionData, sourceNode, targetNode);
         
         // Create path
         const path = connectionGroup.append('path')
             .attr('class', 'flowchart-connection')
-            .attr('d', this.calculateConnectionPath(sourceNode, targetNode))
+            .classed('thick', connectionData.style === 'thick')
+            .attr('d', this.calculateConnectionPath(points, connectionData.routing))
             .attr('stroke-dasharray', this.getStrokeDashArray(connectionData.style));
         
         // Add label if exists
         if (connectionData.label) {
-            const midPoint = this.getConnectionMidPoint(sourceNode, targetNode);
+            const labelPoint = FlowchartRouter.getLabelPoint(points);
             connectionGroup.append('text')
                 .attr('class', 'connection-label')
-                .attr('x', midPoint.x)
-                .attr('y', midPoint.y - 5)
+                .attr('x', labelPoint.x)
+                .attr('y', labelPoint.y - 5)
                 .text(connectionData.label);
         }
         
+        this.renderQuestionBadge(connectionGroup, 'connection', connectionData, this.getConnectionBadgePoint(points));
+        
         // Add event handlers
         connectionGroup.on('click', (event) => {
             this.emit('connectionClick', event, connectionData);
         });
         
+        connectionGroup.on('dblclick', (event) => {
+            const [x, y] = d3.pointer(event, this.mainGroup.node());
+            this.emit('connectionDoubleClick', event, connectionData, { x, y });
+        });
+        
         // Apply status styling
         this.updateConnectionStatus(connectionData);
         
         return connectionGroup;
     }
     
-    calculateConnectionPath(sourceNode, targetNode) {
-        const sourceCenter = {
-            x: sourceNode.x + sourceNode.width / 2,
-            y: sourceNode.y + sourceNode.height / 2
-        };
-        
-        const targetCenter = {
-            x: targetNode.x + targetNode.width / 2,
-            y: targetNode.y + targetNode.height / 2
-        };
-        
-        // Calculate connection points on node edges
-        const sourcePoint = this.getNodeEdgePoint(sourceNode, targetCenter);
-        const targetPoint = this.getNodeEdgePoint(targetNode, sourceCenter);
+    /**
+     * Route points for a connection, following its routing style and saved bend points
+     * @param {Object} connectionData - Connection to route
+     * @param {Object} sourceNode - Node the connection leaves
+     * @param {Object} targetNode - Node the connection enters
+     * @param {Array} obstacles - Nodes orthogonal routes steer around, the active flowchart's by default
+     * @returns {Array} Points from the source edge to the target edge
+     */
+    getConnectionPoints(connectionData, sourceNode, targetNode, obstacles = window.flowchartEditor.getCurrentFlowchart().nodes) {
+        const waypoints = connectionData.waypoints || [];
         
-        // Create bezier curve
-        const controlOffset = Math.abs(targetPoint.x - sourcePoint.x) * 0.3;
+        if (connectionData.routing === 'orthogonal') {
+            return this.router.routeOrthogonal(sourceNode, targetNode, obstacles, waypoints);
+        }
         
-        return `M ${sourcePoint.x} ${sourcePoint.y} C ${sourcePoint.x + controlOffset} ${sourcePoint.y}, ${targetPoint.x - controlOffset} ${targetPoint.y}, ${targetPoint.x} ${targetPoint.y}`;
+        // Straight and curved routes aim each end at its neighbouring bend point
+        return [
+            this.getNodeEdgePoint(sourceNode, waypoints[0] || this.router.center(targetNode)),
+            ...waypoints,
+            this.getNodeEdgePoint(targetNode, waypoints[waypoints.length - 1] || this.router.center(sourceNode))
+        ];
+    }
+    
+    // Just past the label, so the badge doesn't cover it
+    getConnectionBadgePoint(points) {
+        const labelPoint = FlowchartRouter.getLabelPoint(points);
+        return { x: labelPoint.x + 14, y: labelPoint.y + 10 };
+    }
+    
+    calculateConnectionPath(points, routing) {
+        return FlowchartRouter.toPath(points, routing || 'curved');
     }
     
     getNodeEdgePoint(node, targetPoint) {
@@ -745,6 +3549,11 @@ class FlowchartCanvas {
         const dx = targetPoint.x - centerX;
         const dy = targetPoint.y - centerY;
         
+        const outline = this.getNodeOutline(node);
+        if (outline) {
+            return this.intersectOutline(node, outline, dx, dy);
+        }
+        
         // Calculate intersection with node boundary based on type
         switch (node.type) {
             case 'start':
@@ -795,21 +3604,31 @@ class FlowchartCanvas {
         }
     }
     
-    getConnectionMidPoint(sourceNode, targetNode) {
-        const sourceCenter = {
-            x: sourceNode.x + sourceNode.width / 2,
-            y: sourceNode.y + sourceNode.height / 2
-        };
-        
-        const targetCenter = {
-            x: targetNode.x + targetNode.width / 2,
-            y: targetNode.y + targetNode.height / 2
-        };
+    // Where a ray from the node centre along (dx, dy) first leaves the node's outline
+    intersectOutline(node, outline, dx, dy) {
+        const centerX = node.x + node.width / 2;
+        const centerY = node.y + node.height / 2;
+        let nearest = null;
+        
+        outline.forEach((point, index) => {
+            const next = outline[(index + 1) % outline.length];
+            const edgeX = next[0] - point[0];
+            const edgeY = next[1] - point[1];
+            const denominator = dx * edgeY - dy * edgeX;
+            if (!denominator) return;
+            
+            const offsetX = node.x + point[0] - centerX;
+            const offsetY = node.y + point[1] - centerY;
+            const distance = (offsetX * edgeY - offsetY * edgeX) / denominator;
+            const along = (offsetX * dy - offsetY * dx) / denominator;
+            if (distance > 0 && along >= 0 && along <= 1 && (nearest === null || distance < nearest)) {
+                nearest = distance;
+            }
+        });
         
-        return {
-            x: (sourceCenter.x + targetCenter.x) / 2,
-            y: (sourceCenter.y + targetCenter.y) / 2
-        };
+        return nearest === null
+            ? { x: centerX, y: centerY }
+            : { x: centerX + dx * nearest, y: centerY + dy * nearest };
     }
     
     getStrokeDashArray(style) {
@@ -838,17 +3657,90 @@ class FlowchartCanvas {
         
         const connectionGroup = this.connectionsGroup.select(`[data-connection-id="${connectionData.id}"]`);
         const path = connectionGroup.select('.flowchart-connection');
+        const points = this.getConnectionPoints(connectionData, sourceNode, targetNode);
         
-        path.attr('d', this.calculateConnectionPath(sourceNode, targetNode));
+        path.attr('d', this.calculateConnectionPath(points, connectionData.routing));
         
         // Update label position
         const label = connectionGroup.select('.connection-label');
         if (!label.empty()) {
-            const midPoint = this.getConnectionMidPoint(sourceNode, targetNode);
-            label.attr('x', midPoint.x).attr('y', midPoint.y - 5);
+            const labelPoint = FlowchartRouter.getLabelPoint(points);
+            label.attr('x', labelPoint.x).attr('y', labelPoint.y - 5);
+        }
+        const badgePoint = this.getConnectionBadgePoint(points);
+        connectionGroup.select('.question-badge-group').attr('transform', `translate(${badgePoint.x}, ${badgePoint.y})`);
+        
+        // Move bend handles in place while one is being dragged, rebuild them otherwise
+        const handles = connectionGroup.selectAll('.bend-handle');
+        const handlePoints = this.getBendHandlePoints(connectionData, points);
+        if (handles.size() === handlePoints.length) {
+            handles.attr('cx', (d, i) => handlePoints[i].x).attr('cy', (d, i) => handlePoints[i].y);
+        } else if (connectionGroup.classed('selected')) {
+            this.renderBendHandles(connectionData);
         }
     }
     
+    /**
+     * Redraw every connection, so orthogonal routes move out of the way of nodes that moved
+     */
+    updateAllConnections() {
+        window.flowchartEditor.getCurrentFlowchart().connections.forEach(connection => {
+            this.updateConnection(connection);
+        });
+    }
+    
+    // Saved bend points, or the automatic route's corners until the user adjusts one
+    getBendHandlePoints(connectionData, points) {
+        return connectionData.waypoints && connectionData.waypoints.length
+            ? connectionData.waypoints
+            : points.slice(1, -1);
+    }
+    
+    renderBendHandles(connectionData) {
+        const self = this;
+        const connectionGroup = this.connectionsGroup.select(`[data-connection-id="${connectionData.id}"]`);
+        const sourceNode = window.flowchartEditor.findNodeById(connectionData.from);
+        const targetNode = window.flowchartEditor.findNodeById(connectionData.to);
+        
+        connectionGroup.selectAll('.bend-handle').remove();
+        if (!sourceNode || !targetNode) return;
+        
+        const points = this.getConnectionPoints(connectionData, sourceNode, targetNode);
+        const handlePoints = this.getBendHandlePoints(connectionData, points).map(point => ({ x: point.x, y: point.y }));
+        
+        handlePoints.forEach((point, index) => {
+            connectionGroup.append('circle')
+                .attr('class', 'bend-handle')
+                .attr('cx', point.x)
+                .attr('cy', point.y)
+                .attr('r', 5)
+                .call(d3.drag()
+                    .container(this.mainGroup.node())
+                    .on('start', (event) => {
+                        self.emit('bendDragStart', event, connectionData);
+                    })
+                    .on('drag', (event) => {
+                        // The automatic route becomes saved bend points only once a handle actually moves
+                        if (!connectionData.waypoints || connectionData.waypoints.length === 0) {
+                            connectionData.waypoints = handlePoints;
+                        }
+                        if (connectionData.routing === 'orthogonal') {
+                            self.router.moveBend(connectionData.waypoints, index, { x: event.x, y: event.y });
+                        } else {
+                            connectionData.waypoints[index] = { x: event.x, y: event.y };
+                        }
+                        self.updateConnection(connectionData);
+                    })
+                    .on('end', (event) => {
+                        self.emit('bendDragEnd', event, connectionData);
+                    }))
+                .on('dblclick', (event) => {
+                    event.stopPropagation();
+                    self.emit('bendDoubleClick', event, connectionData, index);
+                });
+        });
+    }
+    
     updateConnectionLabel(connectionData) {
         const connectionGroup = this.connectionsGroup.select(`[data-connection-id="${connectionData.id}"]`);
         
@@ -859,12 +3751,12 @@ class FlowchartCanvas {
         if (connectionData.label) {
             const sourceNode = window.flowchartEditor.findNodeById(connectionData.from);
             const targetNode = window.flowchartEditor.findNodeById(connectionData.to);
-            const midPoint = this.getConnectionMidPoint(sourceNode, targetNode);
+            const labelPoint = FlowchartRouter.getLabelPoint(this.getConnectionPoints(connectionData, sourceNode, targetNode));
             
             connectionGroup.append('text')
                 .attr('class', 'connection-label')
-                .attr('x', midPoint.x)
-                .attr('y', midPoint.y - 5)
+                .attr('x', labelPoint.x)
+                .attr('y', labelPoint.y - 5)
                 .text(connectionData.label);
         }
     }
@@ -873,7 +3765,8 @@ class FlowchartCanvas {
         const connectionGroup = this.connectionsGroup.select(`[data-connection-id="${connectionData.id}"]`);
         const path = connectionGroup.select('.flowchart-connection');
         
-        path.attr('stroke-dasharray', this.getStrokeDashArray(connectionData.style));
+        path.attr('stroke-dasharray', this.getStrokeDashArray(connectionData.style))
+            .classed('thick', connectionData.style === 'thick');
     }
     
     updateConnectionStatus(connectionData) {
@@ -891,19 +3784,41 @@ class FlowchartCanvas {
     
     // Selection management
     selectElement(element, type) {
+        this.setSelection(
+            type === 'node' ? [element.id] : [],
+            type === 'connection' ? [element.id] : [],
+            type === 'container' ? [element.id] : []
+        );
+    }
+    
+    setSelection(nodeIds, connectionIds, containerIds = []) {
         this.clearSelection();
-        this.selectedElement = { element, type };
         
-        if (type === 'node') {
-            this.nodesGroup.select(`[data-node-id="${element.id}"]`).classed('selected', true);
-        } else if (type === 'connection') {
-            this.connectionsGroup.select(`[data-connection-id="${element.id}"]`).classed('selected', true);
+        nodeIds.forEach(id => {
+            this.nodesGroup.select(`[data-node-id="${id}"]`).classed('selected', true);
+        });
+        connectionIds.forEach(id => {
+            this.connectionsGroup.select(`[data-connection-id="${id}"]`).classed('selected', true);
+        });
+        if (connectionIds.length === 1 && nodeIds.length === 0 && containerIds.length === 0) {
+            const connection = window.flowchartEditor.findConnectionById(connectionIds[0]);
+            if (connection) this.renderBendHandles(connection);
+        }
+        if (nodeIds.length === 1 && connectionIds.length === 0 && containerIds.length === 0) {
+            this.showResizeHandles(nodeIds[0]);
         }
+        containerIds.forEach(id => {
+            this.containersGroup.select(`[data-container-id="${id}"]`).classed('selected', true);
+        });
     }
     
     clearSelection() {
         this.nodesGroup.selectAll('.selected').classed('selected', false);
         this.connectionsGroup.selectAll('.selected').classed('selected', false);
+        this.connectionsGroup.selectAll('.bend-handle').remove();
+        this.nodesGroup.selectAll('.node-resize-handle').remove();
+        this.resizeNodeId = null;
+        this.containersGroup.selectAll('.selected').classed('selected', false);
         this.selectedElement = null;
     }
     
@@ -943,6 +3858,7 @@ class FlowchartCanvas {
     
     // Canvas management
     clear() {
+        this.containersGroup.selectAll('*').remove();
         this.nodesGroup.selectAll('*').remove();
         this.connectionsGroup.selectAll('*').remove();
         this.clearSelection();
@@ -950,9 +3866,10 @@ class FlowchartCanvas {
     
     fitToScreen() {
         const flowchart = window.flowchartEditor.getCurrentFlowchart();
-        if (flowchart.nodes.length === 0) return;
+        const elements = [...flowchart.containers, ...flowchart.nodes];
+        if (elements.length === 0) return;
         
-        const bounds = this.calculateBounds(flowchart.nodes);
+        const bounds = this.calculateBounds(elements);
         const padding = 50;
         
         const svgRect = this.svg.node().getBoundingClientRect();
@@ -971,6 +3888,164 @@ class FlowchartCanvas {
         this.svg.transition().duration(750).call(this.zoom.transform, transform);
     }
     
+    showWalkthrough(state) {
+        // d3 calls these with the element as `this`, so they can't be arrow functions
+        const matches = ids => {
+            const idSet = new Set(ids);
+            return function() {
+                return idSet.has(this.getAttribute('data-node-id') || this.getAttribute('data-connection-id'));
+            };
+        };
+        
+        this.nodesGroup.selectAll('.flowchart-node')
+            .classed('walk-current', matches([state.currentNodeId]))
+            .classed('walk-visited', matches(state.visitedNodeIds))
+            .classed('untested', matches(state.untestedNodeIds));
+        this.connectionsGroup.selectAll('.flowchart-connection-group')
+            .classed('walk-visited', matches(state.visitedConnectionIds))
+            .classed('untested', matches(state.untestedConnectionIds));
+    }
+    
+    clearWalkthrough() {
+        this.nodesGroup.selectAll('.flowchart-node')
+            .classed('walk-current walk-visited untested', false);
+        this.connectionsGroup.selectAll('.flowchart-connection-group')
+            .classed('walk-visited untested', false);
+    }
+    
+    // Mark one start-to-end path from the path totals panel
+    showPath(path) {
+        const nodeIds = new Set(path.nodeIds);
+        const connectionIds = new Set(path.connectionIds);
+        
+        this.nodesGroup.selectAll('.flowchart-node')
+            .classed('on-path', function() { return nodeIds.has(this.getAttribute('data-node-id')); });
+        this.connectionsGroup.selectAll('.flowchart-connection-group')
+            .classed('on-path', function() { return connectionIds.has(this.getAttribute('data-connection-id')); });
+    }
+    
+    clearPath() {
+        this.nodesGroup.selectAll('.flowchart-node').classed('on-path', false);
+        this.connectionsGroup.selectAll('.flowchart-connection-group').classed('on-path', false);
+    }
+    
+    /**
+     * Colour the elements an import would change, and draw the ones it would add as outlines
+     * @param {Object} preview - addedNodes and addedConnections to draw, plus the IDs of
+     *     modified and removed nodes and connections to mark
+     */
+    showMergePreview(preview) {
+        this.clearMergePreview();
+        
+        const matches = ids => {
+            const idSet = new Set(ids);
+            return function() {
+                return idSet.has(this.getAttribute('data-node-id') || this.getAttribute('data-connection-id'));
+            };
+        };
+        
+        this.nodesGroup.selectAll('.flowchart-node')
+            .classed('merge-modified', matches(preview.modifiedNodeIds))
+            .classed('merge-removed', matches(preview.removedNodeIds));
+        this.connectionsGroup.selectAll('.flowchart-connection-group')
+            .classed('merge-modified', matches(preview.modifiedConnectionIds))
+            .classed('merge-removed', matches(preview.removedConnectionIds));
+        
+        // Added elements aren't in the document yet, so they are drawn in their own layer without events
+        const previewGroup = this.mainGroup.append('g').attr('class', 'merge-preview');
+        const nodes = new Map(window.flowchartEditor.getCurrentFlowchart().nodes.map(node => [node.id, node]));
+        preview.addedNodes.forEach(node => nodes.set(node.id, node));
+        
+        preview.addedConnections.forEach(connection => {
+            const sourceNode = nodes.get(connection.from);
+            const targetNode = nodes.get(connection.to);
+            if (!sourceNode || !targetNode) return;
+            
+            const points = this.getConnectionPoints(connection, sourceNode, targetNode);
+            previewGroup.append('path')
+                .attr('class', 'flowchart-connection merge-added')
+                .attr('d', this.calculateConnectionPath(points, connection.routing));
+        });
+        
+        preview.addedNodes.forEach(node => {
+            const nodeGroup = previewGroup.append('g')
+                .attr('class', 'flowchart-node merge-added')
+                .attr('transform', `translate(${node.x}, ${node.y})`);
+            this.createNodeShape(nodeGroup, node);
+            this.renderNodeText(nodeGroup.append('text').attr('class', 'node-text'), node);
+        });
+    }
+    
+    clearMergePreview() {
+        this.mainGroup.selectAll('.merge-preview').remove();
+        this.nodesGroup.selectAll('.flowchart-node').classed('merge-modified merge-removed', false);
+        this.connectionsGroup.selectAll('.flowchart-connection-group').classed('merge-modified merge-removed', false);
+    }
+    
+    /**
+     * Outline the elements a search found, more heavily on the one being shown
+     * @param {Array} ids - Matching node and connection IDs
+     * @param {string|null} currentId - The match being shown
+     */
+    showSearchMatches(ids, currentId) {
+        const matches = ids => {
+            const idSet = new Set(ids);
+            return function() {
+                return idSet.has(this.getAttribute('data-node-id') || this.getAttribute('data-connection-id'));
+            };
+        };
+        
+        this.nodesGroup.selectAll('.flowchart-node')
+            .classed('search-match', matches(ids))
+            .classed('search-current', matches(currentId ? [currentId] : []));
+        this.connectionsGroup.selectAll('.flowchart-connection-group')
+            .classed('search-match', matches(ids))
+            .classed('search-current', matches(currentId ? [currentId] : []));
+    }
+    
+    // Diagram coordinates of the visible canvas, shaped like calculateBounds()
+    getViewBounds() {
+        const svgRect = this.svg.node().getBoundingClientRect();
+        const transform = d3.zoomTransform(this.svg.node());
+        const [minX, minY] = transform.invert([0, 0]);
+        const [maxX, maxY] = transform.invert([svgRect.width, svgRect.height]);
+        return { minX, minY, width: maxX - minX, height: maxY - minY };
+    }
+    
+    // Diagram coordinates at the middle of the visible canvas
+    getViewCenter() {
+        const svgRect = this.svg.node().getBoundingClientRect();
+        const [x, y] = d3.zoomTransform(this.svg.node()).invert([svgRect.width / 2, svgRect.height / 2]);
+        return { x, y };
+    }
+    
+    // Pan to a node only if it's outside the visible canvas
+    scrollNodeIntoView(nodeData) {
+        const svgRect = this.svg.node().getBoundingClientRect();
+        const transform = d3.zoomTransform(this.svg.node());
+        const [left, top] = transform.apply([nodeData.x, nodeData.y]);
+        const [right, bottom] = transform.apply([nodeData.x + nodeData.width, nodeData.y + nodeData.height]);
+        
+        if (left < 0 || top < 0 || right > svgRect.width || bottom > svgRect.height) {
+            this.centerOnNode(nodeData);
+        }
+    }
+    
+    centerOnNode(nodeData) {
+        this.centerOnPoint(nodeData.x + nodeData.width / 2, nodeData.y + nodeData.height / 2);
+    }
+    
+    centerOnPoint(x, y) {
+        const svgRect = this.svg.node().getBoundingClientRect();
+        const scale = Math.max(d3.zoomTransform(this.svg.node()).k, 1);
+        
+        const transform = d3.zoomIdentity
+            .translate(svgRect.width / 2 - x * scale, svgRect.height / 2 - y * scale)
+            .scale(scale);
+        
+        this.svg.transition().duration(750).call(this.zoom.transform, transform);
+    }
+    
     resetZoom() {
         this.svg.transition().duration(750).call(this.zoom.transform, d3.zoomIdentity);
     }